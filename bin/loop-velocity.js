@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ *  Command line for the velocity numbers, for cron jobs and CI.
+ *
+ *  loop-velocity sprints [--from DATE] [--to DATE] [--format csv|json]
+ *                        [--config FILE] [tracker options]
+ *
+ *  Prints solved, committed and completed bugs on every sprint, plus their
+ *  mean and standard deviation. Takes the same config file the dashboard
+ *  does, and the same settings as options.
+ */
+const fs = require("fs");
+const util = require("util");
+const moment = require("../libs/moment.js");
+const velocity = require("../index.js");
+
+const INPUT_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY"];
+const COLUMNS = ["solved", "committed", "completed"];
+const USAGE = `Usage: loop-velocity sprints [options]
+
+  --from DATE           first sprint to report (default: the first one)
+  --to DATE             report up to the sprint this day is in (default: today)
+  --format csv|json     output format (default: csv)
+  --config FILE         JSON config file, as the dashboard's ?config=
+
+Tracker, overriding the config file:
+  --backend NAME        bugzilla (default), github or jira
+  --url URL             instance to query
+  --product NAME        bugzilla product, repeat for several
+  --component NAME      bugzilla component, repeat for several
+  --api-key KEY         bugzilla API key
+  --repo OWNER/NAME     github repo, repeat for several
+  --project KEY         jira project, repeat for several
+  --email EMAIL         jira cloud account
+  --token TOKEN         github or jira token
+  --sprint-start DATE   first day of the generated sprints
+  --sprint-length DAYS  days per generated sprint
+`;
+
+const OPTIONS = {
+  from: { type: "string" },
+  to: { type: "string" },
+  // no `default:` here, parseArgs only takes it from Node 18.11
+  format: { type: "string" },
+  config: { type: "string" },
+  backend: { type: "string" },
+  url: { type: "string" },
+  product: { type: "string", multiple: true },
+  component: { type: "string", multiple: true },
+  "api-key": { type: "string" },
+  repo: { type: "string", multiple: true },
+  project: { type: "string", multiple: true },
+  email: { type: "string" },
+  token: { type: "string" },
+  "sprint-start": { type: "string" },
+  "sprint-length": { type: "string" },
+  help: { type: "boolean", short: "h" }
+};
+
+// command line option -> config key
+const CONFIG_KEYS = {
+  backend: "backend",
+  url: "url",
+  product: "products",
+  component: "components",
+  "api-key": "apiKey",
+  repo: "repos",
+  project: "projects",
+  email: "email",
+  token: "token"
+};
+
+function parseDate(value, option) {
+  let date = moment(value, INPUT_FORMATS, true);
+  if (!date.isValid()) {
+    throw new Error("wrong date for --" + option + ": " + value);
+  }
+  return date;
+}
+
+// config file first, options on top of it
+function readConfig(options) {
+  let config = options.config ?
+               JSON.parse(fs.readFileSync(options.config, "utf8")) : {};
+  Object.keys(CONFIG_KEYS).forEach(option => {
+    if (options[option] !== undefined) {
+      config[CONFIG_KEYS[option]] = options[option];
+    }
+  });
+  config.calendar = Object.assign({}, config.calendar);
+  if (options["sprint-start"]) {
+    config.calendar.start = options["sprint-start"];
+  }
+  if (options["sprint-length"]) {
+    config.calendar.length = options["sprint-length"];
+  }
+  return config;
+}
+
+// mean and deviation of every column
+function summarize(rows) {
+  let summary = {};
+  COLUMNS.forEach(column => {
+    let values = rows.map(row => row[column]);
+    summary[column] = {
+      mean: values.length ? velocity.Stats.average(values) : 0,
+      deviation: values.length ? velocity.Stats.stdDeviation(values) : 0
+    };
+  });
+  return summary;
+}
+
+function toCSV(report) {
+  let lines = [["sprint", "start", "end"].concat(COLUMNS)];
+  report.sprints.forEach(row => {
+    lines.push([row.name, row.start, row.end].concat(COLUMNS.map(column => {
+      return row[column];
+    })));
+  });
+  ["mean", "deviation"].forEach(stat => {
+    lines.push([stat, "", ""].concat(COLUMNS.map(column => {
+      return report.summary[column][stat].toFixed(2);
+    })));
+  });
+  return lines.map(line => {
+    return line.map(velocity.Report.csvValue).join(",");
+  }).join("\n") + "\n";
+}
+
+/**
+ * per-sprint solved/committed/completed, one sprint after the other so
+ * the tracker doesn't get everything at once
+ */
+function sprints(options) {
+  let format = options.format || "csv";
+  if (["csv", "json"].indexOf(format) === -1) {
+    throw new Error("unknown format: " + format);
+  }
+  let config = readConfig(options);
+  let to = options.to ? parseDate(options.to, "to") : moment();
+  let sprintArray = velocity.SprintCalendar.build(config.calendar, to);
+  if (options.from) {
+    let from = parseDate(options.from, "from");
+    sprintArray = sprintArray.filter(sprint => {
+      return !moment(sprint.end, INPUT_FORMATS[0]).isBefore(from);
+    });
+  }
+  let bugziller = velocity.Bugziller.create(config);
+
+  let rows = [];
+  return sprintArray.reduce((sequence, sprint) => {
+    return sequence.then(() => {
+      return bugziller.getRange(sprint.start, sprint.end);
+    }).then(lists => {
+      let row = { name: sprint.name, start: sprint.start, end: sprint.end };
+      velocity.Stats.BUCKETS.forEach((bucket, position) => {
+        row[bucket] = lists[position].length;
+      });
+      rows.push(row);
+    });
+  }, Promise.resolve()).then(() => {
+    let report = { sprints: rows, summary: summarize(rows) };
+    return format === "json" ?
+           JSON.stringify(report, null, 2) + "\n" : toCSV(report);
+  });
+}
+
+const COMMANDS = {
+  sprints: sprints
+};
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = util.parseArgs({ args: argv, options: OPTIONS,
+                              allowPositionals: true });
+  } catch (error) {
+    process.stderr.write(error.message + "\n\n" + USAGE);
+    return Promise.resolve(2);
+  }
+  let command = COMMANDS[parsed.positionals[0]];
+  if (parsed.values.help || !command) {
+    process.stderr.write(USAGE);
+    return Promise.resolve(parsed.values.help ? 0 : 2);
+  }
+  return Promise.resolve()
+    .then(() => command(parsed.values))
+    .then(output => {
+      process.stdout.write(output);
+      return 0;
+    }, error => {
+      process.stderr.write("loop-velocity: " + error.message + "\n");
+      return 1;
+    });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exitCode = code);
+}
+
+module.exports = {
+  main: main,
+  toCSV: toCSV,
+  summarize: summarize
+};
@@ -1,542 +1,756 @@
 "use strict";
 
-/**
- *  Promise based queries for retrieving Bugzilla information
- *  Returns a list of every bug dependency from an other certain bug,
- *  including CLOSED bugs, and METAs
- *  Further queries and flters can be done after
- *
- *  @returns [int] List with all the bugIds
- *
- *  How to use:
- *  getAll(bugNumber).then(bugList => {
- *    let filtered = bugList.filter()
- *    // do something with the filtered list
- *  });
- */
-var Bugziller = (function(namespace) {
-  const QUERY_URL = "https://bugzilla.mozilla.org/rest/bug?"
-  var fields = [
-    "id",
-    "summary",
-    "resolution",
-    "depends_on"
-  ];
-  var options = "include_fields=" + fields.join(',') +
-                "&product=Hello%20%28Loop%29";
-
-  // hashtable to avoid repetitions
-  var checkedBugs = {};
-
-  // checks if a specific bug is a [Meta]
-  function isMeta(bug) {
-    if (!bug || !bug.summary) {
-      console.error('ooopsie no summary');
-      return false;
-    }
-    let metaReg = new RegExp(/[\[|\(]meta[\]|\)]/);
-    return metaReg.test(bug.summary);
-  }
+var UI = {
+  results: document.getElementById('results'),
+  loading: document.getElementById('loading'),
+  velocity: document.querySelector('.velocity'),
+  deviation: document.querySelector('.deviation'),
+  problems: document.getElementById('problems'),
+  tabs: Array.from(document.querySelectorAll('#tabs button')),
+  views: Array.from(document.querySelectorAll('.view')),
+  releasesLoading: document.getElementById('releases-loading'),
+  cacheAge: document.querySelector('#cache .age'),
+  refresh: document.querySelector('#cache button'),
+  forecast: document.getElementById('forecast'),
+  forecastResult: document.querySelector('#forecast .result'),
+  forecastGraph: document.querySelector('#forecast .graph-container'),
+  metric: document.getElementById('metric'),
+  category: document.getElementById('category'),
+  unweighted: document.querySelector('.unweighted'),
+  median: document.querySelector('.median'),
+  window: document.getElementById('window'),
+  excludeOutliers: document.getElementById('exclude-outliers'),
+  treeForm: document.getElementById('tree-form')
+};
 
-  //checks if a bug is closed, independently of the reason for it
-  function isClosed(bug) {
-    return !!bug.resolution;
-  }
+const DEFAULT_RELEASES = "data/releases.json";
 
-  // checks if a bug is fixed
-  function isFixed(bug) {
-    return bug.resolution === "FIXED";
+
+// what the velocity shows per sprint: solved bugs, or their story points.
+// Reopened entries (see Accounting) take away what their bug weighs.
+var metric = "count";
+const METRICS = {
+  count: (bugs) => ({
+    value: Accounting.measure(bugs, counted => counted.length),
+    unweighted: 0
+  }),
+  points: (bugs, weights) => {
+    let counted = Accounting.split(bugs).counted;
+    return {
+      value: Accounting.measure(bugs, part => Weights.sum(part, weights).points),
+      unweighted: Weights.sum(counted, weights).unweighted.length
+    };
   }
-  /*
-   * get basic info from bug(s)
-   * bug details, immediate dependencies
-   */
-  function getBug(bugArray) {
-    let bugList = bugArray.join(',');
-    let query = QUERY_URL + options + "&id=" + bugList;
-    return fetch(query).then(response => {
-      return response.json();
-    }).then(data => {
-      let dataList = data.bugs;
-      dataList.forEach((bugData, position) => {
-        // already checked, get rid of it
-        if (!!checkedBugs[bugData.id]) {
-          dataList.splice(position, 1);
+};
+
+// which bugs the velocity counts: every one, the ones of a category (see
+// Classifier), or all of them with a bar per category
+var category = "";
+const SPLIT = "split";
+const CATEGORY_COLORS = {
+  meta: "rgba(150,150,150,0.7)",
+  tracker: "rgba(120,120,200,0.7)",
+  regression: "rgba(220,110,60,0.7)",
+  task: "rgba(50,150,200,0.7)"
+};
+
+function countedBugs(bugs) {
+  return category && category !== SPLIT ?
+         bugs.filter(bug => Classifier.classify(bug) === category) : bugs;
+}
+
+// how the headline is calculated, see Stats.summary
+var statsOptions = Object.assign({}, Stats.DEFAULTS);
+const OUTLIER_COLOR = "rgba(200,80,80,0.7)";
+const TREND_COLOR = "rgba(210,110,180,1)";
+const ROLLING_COLOR = "rgba(100,180,90,1)";
+
+/**
+ * bars with lines on top (trend, rolling mean), which Chart.js 1 can't mix
+ * options.overlays: [{ data: [value per bar], color, dash }]
+ */
+Chart.types.Bar.extend({
+  name: "BarTrend",
+  draw: function() {
+    Chart.types.Bar.prototype.draw.apply(this, arguments);
+    let ctx = this.chart.ctx;
+    (this.options.overlays || []).forEach(overlay => {
+      ctx.save();
+      ctx.strokeStyle = overlay.color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash(overlay.dash || []);
+      ctx.beginPath();
+      let points = overlay.data.slice(0, this.scale.xLabels.length);
+      points.forEach((value, position) => {
+        let x = this.scale.calculateX(position);
+        let y = this.scale.calculateY(value);
+        if (position) {
+          ctx.lineTo(x, y);
         } else {
-          // includes number in hashtable to not repeat searches
-          checkedBugs[bugData.id] = true;
+          ctx.moveTo(x, y);
         }
       });
-      // purged list
-      return dataList;
+      ctx.stroke();
+      ctx.restore();
     });
   }
+});
 
-  /**
-   * get all the existing dependencies of a specific bugs
-   * includes CLOSED bugs
-   */
-  function getDependencies(bugList) {
-    return bugList.reduce((p,c) => {
-      return p.then(partial => {
-        return getAll(c.depends_on).then(depList => {
-          return partial.concat(depList);
-        });
-      });
-    }, Promise.resolve([]));
-  }
+// Get the context of the canvas element we want to select
+var canvas = document.getElementById("graph");
+var ctx = canvas.getContext("2d");
+var barChart = null;
+// bugs of every sprint drawn so far, for the panel behind the bars
+var sprintBugs = [];
 
-  /**
-   * get everything related to a bug
-   * details, dependencies, and subdependencies
-   */
-  function getAll(bugArray) {
-    var list = [];
-    // convert to Array just in case
-    bugArray = [].concat(bugArray);
-    if (!bugArray.length) {
-      return Promise.resolve([]);
-    }
-    return getBug(bugArray).then(infoArray => {
-      infoArray.forEach(bug => {
-        // add only the id, as we'll filter later
-        list.push(bug.id);
-      });
-      return getDependencies(infoArray).then(depends => {
-        return list.concat(depends);
-      });
+/**
+ * (re)creates the velocity chart for the current metric
+ * @param sprints   [optional] sprints already loaded
+ * @param bugArrays [optional] their solved bugs
+ * @param weights   weights config, for the points
+ * @param closedArrays [optional] bugs closed without a fix on every sprint
+ */
+function createVelocityChart(sprints, bugArrays, weights, closedArrays) {
+  let rows = (bugArrays || []).map(bugs => sprintValues(bugs, weights));
+  let datasets = velocitySeries().map((serie, position) => ({
+    label: serie.label,
+    fillColor: serie.color,
+    data: rows.map(row => row[position])
+  }));
+  // triage is work too, even if nothing got delivered
+  if (closedArrays) {
+    datasets.push({
+      label: "closed, not fixed",
+      fillColor: "rgba(200,150,50,0.5)",
+      data: closedArrays.map(bugs => {
+        return METRICS[metric](countedBugs(bugs), weights).value;
+      })
     });
   }
-
-  /**
-   * get all data for a specific release based on the dates of it
-   * commited:  all bugs that were assigned to someone during the release.
-   *            They may or may not have been solved on time.
-   * solved:    all bugs that were solved during the release.
-   *            Could have been assigned on previous release though
-   * complete:  100% on time. bugs that were assigned AND solved during the release
-   * @param start   Date starting date for the release query
-   * @param end     Date ending date for the release query
-   * @param bugList [optional] limit the search to a series of bugs
-   */
-  function getAllFromDates(start, end, bugList) {
-    let baseQuery = QUERY_URL + options +
-                    (!!bugList ? "&id=" + bugList.join(',') : "");
-
-    let dateIni = moment(start, "DD/MM/YYYY");
-    dateIni = (dateIni.isValid() ? dateIni : moment()).format("YYYY-MM-DD");
-    let dateEnd = moment(end, "DD/MM/YYYY");
-    dateEnd = (dateEnd.isValid() ? dateEnd : moment()).format("YYYY-MM-DD");
-
-    let qSolved = baseQuery +
-                  "&f1=resolution" +
-                  "&o1=changedafter" +
-                  "&v1=" + dateIni +
-                  "&f2=resolution" +
-                  "&o2=changedbefore" +
-                  "&v2=" + dateEnd +
-                  "&f3=resolution" +
-                  "&o3=changedto" +
-                  "&v3=fixed";
-    let qCommited = baseQuery +
-                  "&f1=assigned_to" +
-                  "&o1=changedafter" +
-                  "&v1=" + dateIni +
-                  "&f2=assigned_to" +
-                  "&o2=changedbefore" +
-                  "&v2=" + dateEnd +
-                  "&f3=assigned_to" +
-                  "&o3=changedfrom" +
-                  "&v3=nobody%40mozilla.org";
-    let qCompleted = baseQuery +
-                  "&f1=assigned_to" +
-                  "&o1=changedafter" +
-                  "&v1=" + dateIni +
-                  "&f2=assigned_to" +
-                  "&o2=changedbefore" +
-                  "&v2=" + dateEnd +
-                  "&f3=assigned_to" +
-                  "&o3=changedfrom" +
-                  "&v3=nobody%40mozilla.org" +
-                  "&f4=resolution" +
-                  "&o4=changedafter" +
-                  "&v4=" + dateIni +
-                  "&f5=resolution" +
-                  "&o5=changedbefore" +
-                  "&v5=" + dateEnd +
-                  "&f6=resolution" +
-                  "&o6=changedto" +
-                  "&v6=fixed";
-
-    return Promise.all(
-      [qSolved,
-       qCommited,
-       qCompleted].map(query => {
-      return fetch(query)
-        .then(response => response.json())
-        .then(json => json.bugs);
-      })
-    ).then(resultArray => resultArray);
+  if (barChart) {
+    barChart.destroy();
   }
+  barChart = new Chart(ctx).BarTrend({
+    labels: (sprints || []).map(SprintCalendar.label),
+    datasets: datasets
+  }, {
+    maintainAspectRatio: true,
+    responsive: true,
+    barValueSpacing: 0.5,
+    animationSteps: 15
+  });
+}
 
-  function getReleaseData(release) {
-    if (!release) {
-      console.error(' - no RELEASE to check -');
-      return Promise.resolve();
-    }
-    console.log('> Checking release ' + release.name);
-    // bug dependency
-    if (release.bug) {
-      console.log('-- from bug');
-      return getAll(release.bug).then(list => {
-        return getAllFromDates(release.start, release.end, list);
-      });
-    }
-    console.log('-- from dates');
-    // date dependency
-    return getAllFromDates(release.start, release.end);
+// the bars of every sprint: the solved ones, or one per category
+function velocitySeries() {
+  let unit = metric === "points" ? " points" : " bugs";
+  let series = category === SPLIT ?
+    Classifier.CATEGORIES.map(name => ({
+      label: name + unit,
+      color: CATEGORY_COLORS[name]
+    })) :
+    [{
+      label: "solved " + (category ? category + unit : unit.trim()),
+      color: "rgba(50,150,200,0.7)"
+    }];
+  // bugs with no points don't add any, but they were work too
+  if (metric === "points") {
+    series.push({ label: "unweighted bugs", color: "rgba(150,150,150,0.5)" });
   }
+  return series;
+}
 
-  function getSprintVelocity() {
-    // sprint size is 2 weeks, and we start counting on FF34
-    var START = "01/07/2015";
-    var dFormat = "YYYY-MM-DD";
-
-    let sprintArray = [];
-    let date = moment(START, "DD-MM-YYYY");
-    // limit on today's last sunday
-    while (date.isBefore(moment().weekday(0))) {
-      sprintArray.push({
-        start: date.weekday(1).format(dFormat),// monday same week
-        end: date.weekday(15).format(dFormat)  // monday 2 weeks after
-      });
-    }
-    var resultArray = [];
-    var fullResponse = [];
-    var i=0;
-
-    return sprintArray.map(sprint => {
-      return querySolved(sprint.start, sprint.end)
-             .then(solvedArray => {
-                fullResponse.push(solvedArray);
-                resultArray.push(solvedArray.length);
-                return solvedArray.length
-              });
-    }).reduce((sequence, result) => {
-      return sequence.then(function() {
-        return result;
-      }).then(result => {
-        barChart.addData([result], sprintArray[i++].end);
-      });
-    }, Promise.resolve())
-    .then(() => {
-      console.log("> R = " + JSON.stringify(fullResponse));
-      console.log("> Q = " + JSON.stringify(queries));
-    })
-    .then(() => resultArray);
+// values of a sprint, in the order of velocitySeries
+function sprintValues(bugs, weights) {
+  let groups = Classifier.group(bugs);
+  let values = category === SPLIT ?
+    Classifier.CATEGORIES.map(name => {
+      return METRICS[metric](groups[name], weights).value;
+    }) :
+    [METRICS[metric](countedBugs(bugs), weights).value];
+  if (metric === "points") {
+    values.push(METRICS[metric](countedBugs(bugs), weights).unweighted);
   }
+  return values;
+}
 
-  var queries = [];
-  function querySolved(start, end) {
-    let query = QUERY_URL + options +
-                "&f1=resolution" +
-                "&o1=changedafter" +
-                "&v1=" + start +
-                "&f2=resolution" +
-                "&o2=changedbefore" +
-                "&v2=" + end +
-                "&f3=resolution" +
-                "&o3=changedto" +
-                "&v3=fixed";
-    queries.push(query);
-    return fetch(query)
-            .then(response => response.json())
-            .then(json => json.bugs);
-  }
+function addSprint(sprint, bugs, weights) {
+  barChart.addData(sprintValues(bugs, weights), SprintCalendar.label(sprint));
+}
 
+
+// everything the views need, once the config is there
+var session = Config.load(Controls.search()).then(config => {
+  let calendar = config.calendar || {};
+  let range = config.range || {};
+  let sprints = SprintCalendar.build(calendar);
+  showProblems(SprintCalendar.validate(sprints, calendar.exclude));
+  sprints = SprintCalendar.overlapping(sprints, range.from, range.to);
+  Controls.fill(config);
+  ComparisonView.fill(config);
+  // a wrong rule shouldn't leave the dashboard empty, the default ones do
+  try {
+    Classifier.configure(config.classify);
+  } catch (error) {
+    Classifier.configure();
+    showProblems([{ type: 'rules', message: 'Cannot classify bugs with ' +
+                                            'the configured rules: ' +
+                                            error.message }]);
+  }
+  // whatever the metric, so switching doesn't need to ask again
+  config.fields = Bugziller.toList(config.fields)
+                           .concat(Weights.fields(config.weights),
+                                   Breakdown.fields(config.breakdown),
+                                   CycleTime.fields(),
+                                   Classifier.fields());
+  metric = METRICS[config.metric] ? config.metric : metric;
+  UI.metric.value = metric;
+  let categories = Classifier.CATEGORIES.concat(SPLIT);
+  category = categories.indexOf(config.category) !== -1 ? config.category :
+                                                          category;
+  UI.category.value = category;
+  // url params come as strings
+  let stats = config.stats || {};
+  statsOptions.window = parseInt(stats.window, 10) || statsOptions.window;
+  statsOptions.excludeOutliers = stats.outliers === "exclude" ||
+                                 !!stats.excludeOutliers;
+  if (stats.outlierFactor) {
+    statsOptions.outlierFactor = parseFloat(stats.outlierFactor);
+  }
+  UI.window.value = statsOptions.window || "";
+  UI.excludeOutliers.checked = !!statsOptions.excludeOutliers;
   return {
-    getRelease: getReleaseData,
-    getAll: getAll,
-    getOne: getBug,
-    isMeta: isMeta,
-    isClosed: isClosed,
-    getVelocity: getSprintVelocity
+    config: config,
+    sprints: sprints,
+    bugziller: Bugziller.create(config)
   };
+});
 
-})(window);
+// metas are only there to group other bugs, some teams leave them out
+function visibleBugs(config, bugs) {
+  return config.metas === "hide" ?
+         bugs.filter(bug => !Bugziller.isMeta(bug)) : bugs;
+}
 
-var UI = {
-  results: document.getElementById('results'),
-  loading: document.getElementById('loading'),
-  velocity: document.querySelector('.velocity'),
-  deviation: document.querySelector('.deviation')
-};
+// bugs solved per sprint, once every sprint is there
+var velocityLoaded = null;
+// bugs closed without a fix per sprint, null if they couldn't be loaded
+var triageLoaded = null;
 
+/**
+ * asks for the solved bugs of every sprint, drawing them as they come,
+ * and then for the triage. What fails goes to the error panel, and
+ * retrying asks again, the sprints that did come are in the cache.
+ */
+function loadVelocity() {
+  let load = LoadStatus.begin('sprints', 'the sprints');
+  UI.loading.classList.remove('nope');
+  timingLoaded = null;
+  velocityLoaded = session.then(current => {
+    let weights = current.config.weights;
+    let visible = bugs => visibleBugs(current.config, bugs);
+    sprintBugs = [];
+    createVelocityChart([], [], weights);
+    load.progress('0/' + current.sprints.length + ' sprints loaded');
+    return current.bugziller.withSignal(load.signal)
+      .getVelocity(current.sprints, (sprint, bugs, position) => {
+        sprintBugs[position] = visible(bugs);
+        addSprint(sprint, visible(bugs), weights);
+        // the headline follows the chart as it fills in
+        updateVelocity(sprintBugs, weights);
+        UI.results.classList.remove('nope');
+      }, (loaded, total) => {
+        load.progress(loaded + '/' + total + ' sprints loaded');
+      })
+      .then(bugArrays => bugArrays.map(visible));
+  });
+
+  velocityLoaded.then(() => load.done(), error => load.fail(error, loadVelocity))
+  .then(() => { // update UI to show results and hide loading icon
+    UI.results.classList.remove('nope');
+    UI.loading.classList.add('nope');
+    showCacheAge();
+  });
+
+  // bugs closed without a fix, drawn once the velocity is there
+  triageLoaded = velocityLoaded.then(() => session).then(current => {
+    let triage = LoadStatus.begin('triage', 'the bugs closed without a fix');
+    return current.bugziller.withSignal(triage.signal)
+      .getTriage(current.sprints)
+      .then(closedArrays => {
+        triage.done();
+        return closedArrays;
+      }, error => {
+        triage.fail(error, loadVelocity);
+        return null;
+      });
+  }, () => null);
+  triageLoaded.then(closedArrays => closedArrays && redrawVelocity());
+  return velocityLoaded;
+}
 
-// Get the context of the canvas element we want to select
-var dataBar = {
-  labels: [],
-  datasets: [{
-    fillColor: "rgba(50,150,200,0.7)",
-    data: []
-  }]
-};
-var ctx = document.getElementById("graph").getContext("2d");
-var barChart = new Chart(ctx).Bar(dataBar, {
-  maintainAspectRatio: true,
-  responsive: true,
-  barValueSpacing: 0.5,
-  animationSteps: 15
+/**
+ * what the views can draw: every sprint, or when some failed to load,
+ * the ones before the first that did
+ * @returns Promise with { current, sprints, bugArrays }, `current` being
+ *          the session
+ */
+function loadedSprints() {
+  return Promise.all([session, velocityLoaded.catch(() => sprintBugs.slice())])
+    .then(loaded => ({
+      current: loaded[0],
+      sprints: loaded[0].sprints.slice(0, loaded[1].length),
+      bugArrays: loaded[1]
+    }));
+}
+
+function redrawVelocity() {
+  return Promise.all([loadedSprints(), triageLoaded]).then(loaded => {
+    let weights = loaded[0].current.config.weights;
+    createVelocityChart(loaded[0].sprints, loaded[0].bugArrays, weights,
+                        loaded[1]);
+    updateVelocity(loaded[0].bugArrays, weights);
+  });
+}
+
+loadVelocity();
+
+// switching metric or category redraws with what we already have
+[UI.metric, UI.category].forEach(control => {
+  control.addEventListener('change', () => {
+    metric = UI.metric.value;
+    category = UI.category.value;
+    Controls.set('metric', metric);
+    Controls.set('category', category);
+    redrawVelocity();
+    if (teamShown) {
+      showTeam();
+    }
+    if (comparisonShown) {
+      showComparison();
+    }
+  });
+});
+
+// clicking a bar lists the bugs of its sprint
+canvas.addEventListener('click', event => {
+  let bars = barChart ? barChart.getBarsAtEvent(event) : [];
+  if (!bars.length) {
+    return;
+  }
+  let position = barChart.datasets[0].bars.indexOf(bars[0]);
+  if (!sprintBugs[position]) {
+    return;
+  }
+  session.then(current => {
+    SprintPanel.show(current.bugziller, current.sprints[position],
+                     sprintBugs[position]);
+  });
 });
 
+// how old is the oldest cached answer we are showing
+function showCacheAge() {
+  let oldest = QueryCache.stats().oldest;
+  UI.cacheAge.textContent = oldest ?
+                            'cached data from ' + moment(oldest).fromNow() :
+                            'fresh data';
+}
 
-Bugziller.getVelocity()
-.then(resultArray => updateVelocity(resultArray))
-.catch((error) => console.error('OH NO! => ' + error))
-.then(() => { // update UI to show results and hide loading icon
-  UI.results.classList.remove('nope');
-  UI.loading.classList.add('nope');
+// forget everything cached and ask the tracker again
+UI.refresh.addEventListener('click', () => {
+  QueryCache.clear();
+  window.location.reload();
 });
 
-function updateVelocity(dataArray) {
-  // For the velocity we can show the average of the values
-  let avg = average(dataArray);
-  // But we'll also need to calculate the standard deviation
-  let stdDev = stdDeviation(dataArray);
+// the release view is only queried the first time it's shown
+var releasesLoaded = null;
+function loadReleases() {
+  if (!releasesLoaded) {
+    let load = LoadStatus.begin('releases', 'the releases');
+    UI.releasesLoading.classList.remove('nope');
+    releasesLoaded = session.then(current => {
+      return ReleaseView.load(current.config.releases || DEFAULT_RELEASES)
+        .then(releases => {
+          return ReleaseView.show(current.bugziller.withSignal(load.signal),
+                                  releases, current.sprints);
+        });
+    })
+    .then(() => load.done(), error => {
+      load.fail(error, () => {
+        releasesLoaded = null;
+        loadReleases();
+      });
+    })
+    .then(() => UI.releasesLoading.classList.add('nope'));
+  }
+  return releasesLoaded;
+}
 
-  // Now we can show the values
-  UI.velocity.textContent = parseFloat(avg).toFixed(0);
-  UI.deviation.textContent = "± " + parseFloat(stdDev).toFixed(0);
+function showView(name) {
+  Controls.set('view', name === 'sprints' ? null : name);
+  UI.views.forEach(view => {
+    view.classList.toggle('nope', view.id !== name + '-view');
+  });
+  UI.tabs.forEach(tab => {
+    tab.classList.toggle('selected', tab.dataset.view === name);
+  });
+  if (name === 'releases') {
+    loadReleases();
+  }
+  if (name === 'team') {
+    showTeam();
+  }
+  if (name === 'timing') {
+    loadTiming();
+  }
+  if (name === 'progress') {
+    loadProgress();
+  }
+  if (name === 'compare') {
+    showComparison();
+  }
 }
 
-// just calculate the average of the values passed as an array
-function average(data) {
-  var sum = data.reduce((sum, value) => sum + value, 0);
-  return sum / data.length;;
+UI.tabs.forEach(tab => {
+  tab.addEventListener('click', () => showView(tab.dataset.view));
+});
+
+// the breakdown only needs the sprints already loaded, in the current metric
+var teamShown = false;
+function showTeam() {
+  teamShown = true;
+  return loadedSprints().then(loaded => {
+    let config = loaded.current.config;
+    TeamView.show({
+      sprints: loaded.sprints,
+      bugArrays: loaded.bugArrays,
+      measure: bugs => METRICS[metric](countedBugs(bugs), config.weights).value,
+      options: config.breakdown
+    });
+  });
 }
 
-// The Standard Deviation is calculated...
-//  "by taking the square root of the average of the squared differences
-//   of the values from their average value"
-function stdDeviation(pureData) {
-  // first calculate the average of the pure data
-  var avg = average(pureData);
-  // now the squared diffs
-  var squareDiffs = pureData.map(value => (value - avg) * (value - avg));
-  // then the squared average
-  var avgSquareDiff = average(squareDiffs);
-  // and finally calculate the deviation
-  return Math.sqrt(avgSquareDiff);
+// histories are a request per bug batch, only asked when the view is shown
+var timingLoaded = null;
+function loadTiming() {
+  if (!timingLoaded) {
+    timingLoaded = loadedSprints().then(loaded => {
+      return TimingView.show(loaded.current.bugziller, loaded.sprints,
+                             loaded.bugArrays);
+    });
+  }
+  return timingLoaded;
 }
 
-/**
- * Cleans the bug lists from not desired values.
- * In this case, [Meta] bugs
- * @param filteredRelease 3-pos-array with bug array inside.
- *        [0] - all assigned bugs for the release.
- *        [1] - all solved bugs during the release.
- *        [2] - bugs both assigned and solved during release.
- */
-function filterBugs(filteredRelease) {
-  if (!filteredRelease || filteredRelease.length != 3) {
-    console.error('Wrongly filtered list: ' + filteredRelease);
-    return Promise.resolve();
+// sprints can be looked at even without a releases file
+var progressLoaded = null;
+function loadProgress() {
+  if (!progressLoaded) {
+    progressLoaded = session.then(current => {
+      return ReleaseView.load(current.config.releases || DEFAULT_RELEASES)
+        // without releases there are still the sprints
+        .catch(() => [])
+        .then(releases => {
+          return ProgressView.show(current.bugziller, releases, current.sprints);
+        });
+    });
   }
+  return progressLoaded;
+}
 
-  let total = filteredRelease.length,
-      metas = [],
-      taken = [],
-      fixed = [];
-
-  // [[assigned], [solved], [fullyDone]]
-  return Promise.resolve(filteredRelease.map(bugList => {
-    let metas = [];
-    let done = [];
-
-    bugList.forEach((bug, pos) => {
-      console.log('checking bug ' + JSON.stringify(bug) + '-' + pos);
-      if (Bugziller.isMeta(bug)) {
-        metas.push(bug);
-        bugList.splice(pos, 1);
-      // } else {
-      //   // counted for resolution
-      //   done.push(bug);
+// the other side of the comparison is only queried when the tab is shown
+var comparisonLoaded = null;
+function loadComparison() {
+  if (!comparisonLoaded) {
+    comparisonLoaded = session.then(current => {
+      if (!Compare.isSet(current.config)) {
+        return null;
       }
+      let other = Compare.sides(current.config)[1];
+      let range = other.range || {};
+      let sprints = SprintCalendar.overlapping(
+        SprintCalendar.build(other.calendar || {}), range.from, range.to);
+      ComparisonView.status('Loading ' + Compare.describe(other) + '...');
+      return Bugziller.create(other).getVelocity(sprints).then(bugArrays => ({
+        label: Compare.describe(other),
+        sprints: sprints,
+        bugArrays: bugArrays.map(bugs => visibleBugs(other, bugs))
+      }));
     });
+  }
+  return comparisonLoaded;
+}
 
-    return {
-      metas: metas,
-      done: bugList
-    };
-  }));
+// both sides in the current metric, looked at the way the headline is
+var comparisonShown = false;
+function showComparison() {
+  comparisonShown = true;
+  return Promise.all([loadedSprints(), loadComparison()]).then(loaded => {
+    let config = loaded[0].current.config;
+    if (!loaded[1]) {
+      ComparisonView.status('Pick another period, product or component ' +
+                            'to compare with.');
+      return;
+    }
+    ComparisonView.show({
+      sides: [{
+        label: Compare.describe(Compare.sides(config)[0]),
+        sprints: loaded[0].sprints,
+        bugArrays: loaded[0].bugArrays
+      }, loaded[1]],
+      measure: bugs => METRICS[metric](countedBugs(bugs), config.weights).value,
+      options: statsOptions
+    });
+  }).catch(error => {
+    ComparisonView.status('Cannot compare: ' + error.message);
+  });
+}
+
+// calendar problems are not fatal, but the numbers could be misleading
+function showProblems(problems) {
+  problems.forEach(problem => {
+    let item = document.createElement('li');
+    item.className = problem.type;
+    item.textContent = problem.message;
+    UI.problems.appendChild(item);
+  });
+}
+
+/**
+ * when will a tracking bug be done, at the pace of the past sprints
+ * @param bug the tracking bug, its open non-meta dependencies are the
+ *            work left
+ */
+function forecast(bug) {
+  // asking for another bug cancels the one before
+  let load = LoadStatus.begin('forecast', 'bug ' + bug);
+  UI.forecastResult.textContent = 'Looking at bug ' + bug + '...';
+  return Promise.all([session, velocityLoaded]).then(loaded => {
+    let current = loaded[0];
+    let weights = current.config.weights;
+    // the sprint going on is not over, it would drag the pace down, but
+    // with `to` in the past the last one shown is as over as the rest
+    let last = current.sprints[loaded[1].length - 1];
+    let isGoingOn = last && moment(last.end).isAfter(moment());
+    let history = loaded[1].slice(0, isGoingOn ? -1 : undefined)
+      .map(bugs => METRICS[metric](bugs, weights).value);
+    return current.bugziller.withSignal(load.signal).getTree(bug)
+      .then(tree => {
+        let remaining = METRICS[metric](Forecast.workLeft(tree),
+                                        weights).value;
+        if (load.isCurrent()) {
+          showForecast(current, Forecast.project(remaining, history));
+        }
+      });
+  }).catch(error => {
+    if (load.isCurrent()) {
+      UI.forecastResult.textContent = 'Cannot forecast: ' +
+        (Bugziller.isAborted(error) ? 'cancelled' : error.message);
+    }
+  }).then(() => load.done());
+}
 
-  // return Promise.resolve(filteredRelease);
-  // {
-  //   total: total,
-  //   metas: metas,
-  //   taken: taken,
-  //   fixed: fixed
-  // });
+// date the nth coming sprint ends, the one going on being the first
+function forecastDate(upcoming, sprints) {
+  if (sprints === 0) {
+    return 'already';
+  }
+  if (!isFinite(sprints) || sprints > upcoming.length) {
+    return 'never, at this pace';
+  }
+  return moment(upcoming[sprints - 1].end).format('D MMM YYYY');
 }
 
-// data = [
-//  [assigned = { metas, done }],
-//  [solved = { metas, done }],
-//  [fullyDone = { metas, done }]
-// ]
-function printData(origin, data) {
-  if (!origin || !data) {
-    return Promise.resolve();
+var forecastChart = null;
+function showForecast(current, projection) {
+  let maxSprints = Forecast.DEFAULTS.maxSprints;
+  let ongoing = current.sprints.slice(-1);
+  let upcoming = ongoing.concat(SprintCalendar.next(current.config.calendar,
+                                                    current.sprints,
+                                                    maxSprints - 1));
+  let range = projection.sprints;
+  let confidence = Object.keys(projection.monteCarlo).map(percentile => {
+    return percentile + '% by ' +
+           forecastDate(upcoming, projection.monteCarlo[percentile]);
+  });
+  let unit = metric === "points" ? ' points' : ' bugs';
+  UI.forecastResult.textContent =
+    projection.remaining + ' open' + unit + ' at ' +
+    parseFloat(projection.mean).toFixed(1) + ' ± ' +
+    parseFloat(projection.stdDev).toFixed(1) + ' per sprint: ' +
+    'likely done ' + forecastDate(upcoming, range.likely) +
+    ' (between ' + forecastDate(upcoming, range.optimistic) +
+    ' and ' + forecastDate(upcoming, range.pessimistic) + '). ' +
+    'Replaying past sprints: ' + confidence.join(', ') + '.';
+
+  // burn-down with the band between optimistic and pessimistic
+  let count = Math.min(isFinite(range.pessimistic) ? range.pessimistic :
+                                                     maxSprints,
+                       maxSprints);
+  let series = Forecast.burnDown(projection, count);
+  let labels = ['now'].concat(upcoming.slice(0, count).map(sprint => {
+    return SprintCalendar.label(sprint);
+  }));
+  UI.forecastGraph.classList.remove('nope');
+  if (forecastChart) {
+    forecastChart.destroy();
   }
+  let ctx = UI.forecastGraph.querySelector('canvas').getContext("2d");
+  forecastChart = new Chart(ctx).Line({
+    labels: labels,
+    datasets: [{
+      // the band is the pessimistic area with the optimistic one on top
+      fillColor: "rgba(210,110,180,0.2)",
+      strokeColor: "rgba(210,110,180,0.4)",
+      pointColor: "rgba(0,0,0,0)",
+      data: series.pessimistic
+    }, {
+      fillColor: "rgba(255,255,255,1)",
+      strokeColor: "rgba(210,110,180,0.4)",
+      pointColor: "rgba(0,0,0,0)",
+      data: series.optimistic
+    }, {
+      fillColor: "rgba(0,0,0,0)",
+      strokeColor: "rgba(210,110,180,1)",
+      pointColor: "rgba(210,110,180,1)",
+      data: series.likely
+    }]
+  }, {
+    maintainAspectRatio: true,
+    responsive: true,
+    bezierCurve: false,
+    animationSteps: 15
+  });
+}
+
+UI.treeForm.addEventListener('submit', event => {
+  event.preventDefault();
+  let bug = UI.treeForm.elements.bug.value.trim();
+  session.then(current => TreeView.show(current.bugziller, bug));
+});
+
+UI.forecast.addEventListener('submit', event => {
+  event.preventDefault();
+  forecast(UI.forecast.elements.bug.value.trim());
+});
+
+/**
+ * headline velocity ± deviation, in the current metric, over the sprints
+ * statsOptions say, with the trend and the outliers on the chart
+ * @param bugArrays [[bug]] solved on every sprint
+ */
+function updateVelocity(bugArrays, weights) {
+  let measures = bugArrays.map(bugs => {
+    return METRICS[metric](countedBugs(bugs), weights);
+  });
+  let dataArray = measures.map(measure => measure.value);
+  let summary = Stats.summary(dataArray, statsOptions);
+
+  // Now we can show the values
+  let headline = headlineOf(summary);
+  UI.velocity.textContent = headline.velocity;
+  UI.deviation.textContent = headline.deviation;
+  UI.median.textContent = headline.median;
+  markChart(summary);
+  // and what the points leave out
+  let unweighted = measures.reduce((sum, measure) => sum + measure.unweighted, 0);
+  UI.unweighted.textContent = unweighted ?
+                              "+ " + unweighted + " bugs without points" : "";
+}
+
+// the headline texts out of a Stats.summary
+function headlineOf(summary) {
+  return {
+    velocity: parseFloat(summary.mean).toFixed(0),
+    deviation: "± " + parseFloat(summary.stdDev).toFixed(0),
+    median: "median " + parseFloat(summary.median).toFixed(0) +
+            " (IQR " + parseFloat(summary.q1).toFixed(0) +
+            "-" + parseFloat(summary.q3).toFixed(0) + ")"
+  };
+}
 
-  // fill data
-  let newRelease = document.createElement('li');
-  let name = document.createElement('h2');
-  name.textContent = 'v' + origin.name + ' | ' +
-                     '(' + origin.start + ' - ' + origin.end + ')';
-  newRelease.appendChild(name);
-
-  let assigned = document.createElement('h3');
-  assigned.textContent = data[0].done.length + ' assigned' +
-                         ' (+ ' + data[0].metas.length + ' metas)';
-  newRelease.appendChild(assigned);
-
-  let solved = document.createElement('h3');
-  solved.textContent = data[1].done.length + ' solved' +
-                       ' (+ ' + data[1].metas.length + ' metas)';
-  newRelease.appendChild(solved);
-
-  let fullyDone = document.createElement('h3');
-  fullyDone.textContent = data[2].done.length + ' both assigned and solved' +
-                          ' (+ ' + data[2].metas.length + ' metas)';
-  newRelease.appendChild(fullyDone);
-
-  UI.results.appendChild(newRelease);
+// outlier sprints in another color, trend and rolling mean over the bars
+function markChart(summary) {
+  // split, the first bars are only a category, the colors are theirs
+  if (category !== SPLIT) {
+    barChart.datasets[0].bars.forEach((bar, position) => {
+      bar.fillColor = summary.outliers.indexOf(position) !== -1 ?
+                      OUTLIER_COLOR : barChart.datasets[0].fillColor;
+    });
+  }
+  let trend = summary.trend;
+  barChart.options.overlays = [{
+    data: barChart.datasets[0].bars.map((bar, position) => {
+      return trend.intercept + trend.slope * position;
+    }),
+    color: TREND_COLOR,
+    dash: [6, 4]
+  }];
+  if (summary.rolling) {
+    barChart.options.overlays.push({
+      data: summary.rolling,
+      color: ROLLING_COLOR
+    });
+  }
+  barChart.update();
 }
 
-// TODO: cambiar releases por 2-week plannings
-  //  necesitamos saber el bug-per-sprint velocity
-  //  después de eso, dividir en releases si necesario.
-  // FF34  Development 05/08/2014 — 16/09/2014
-  // FF35  Development 16/09/2014 — 28/10/2014
-  // FF36  Development 28/10/2014 — 22/12/2014
-  // FF37  Development 22/12/2014 — 26/01/2015
-  // FF38  Development 26/01/2015 — 09/03/2015
-  // FF39  Development 09/03/2015 — 13/04/2015
-  // FF40  Development 13/04/2015 — 25/05/2015
-  // FF41  Development 25/05/2015 — 13/07/2015
-  // FF42  Development 13/07/2015 — 24/08/2015
-  // FF43  Development 24/08/2015 — 05/10/2015
-  // FF44  Development 05/10/2015 — 16/11/2015
-  // v1.0  Development 12/10/2015 — 08/12/2015
-  // v1.1  Development 04/01/2016 — 01/03/2016
-  // v1.2  Development 15/02/2016 — 22/03/2016
-  // v1.3  Development 21/03/2016 — 01/04/2016
-  // vCOD  Development 23/03/2016 — 02/05/2016
-
-// RELEASE BASED CALCULATIONS
-  // const RELEASES = [
-  //   {
-  //     type: "FF",
-  //     name: "34",
-  //     start: "05/08/2014",
-  //     end: "16/09/2014"
-  //   },
-  //   {
-  //     type: "FF",
-  //     name: "35",
-  //     start: "16/09/2014",
-  //     end: "28/10/2014"
-  //   },
-  //   {
-  //     type: "FF",
-  //     name: "36",
-  //     start: "28/10/2014",
-  //     end: "22/12/2014"
-  //   },
-  //   {
-  //     type: "FF",
-  //     name: "37",
-  //     start: "22/12/2014",
-  //     end: "26/01/2015"
-  //   },
-  //   {
-  //     type: "FF",
-  //     name: "38",
-  //     start: "26/01/2015",
-  //     end: "09/03/2015"
-  //   },
-  //   {
-  //     type: "FF",
-  //     name: "39",
-  //     start: "09/03/2015",
-  //     end: "13/04/2015"
-  //   },
-  //   {
-  //     type: "FF",
-  //     name: "40",
-  //     start: "13/04/2015",
-  //     end: "25/05/2015"
-  //   },
-  //   {
-  //     type: "FF",
-  //     name: "41",
-  //     start: "25/05/2015",
-  //     end: "13/07/2015"
-  //   },
-  //   {
-  //     type: "FF",
-  //     name: "42",
-  //     start: "13/07/2015",
-  //     end: "24/08/2015"
-  //   },
-  //   {
-  //     type: "FF",
-  //     name: "43",
-  //     start: "24/08/2015",
-  //     end: "05/10/2015"
-  //   },
-  //   {
-  //     type: "FF",
-  //     name: "44",
-  //     start: "05/10/2015",
-  //     end: "16/11/2015"
-  //   },
-  //   {
-  //     type: "ADDON",
-  //     name:  "1.0",
-  //     start: "16/11/2015",
-  //     end: "14/12/2015"
-  //   },
-  //   {
-  //     type: "ADDON",
-  //     name:  "1.1",
-  //     start: "18/12/2015",
-  //     end: "25/01/2016"
-  //   },
-  //   {
-  //     type: "ADDON",
-  //     name:  "1.2",
-  //     start: "25/01/2016",
-  //     end: "---",
-  //     bug: "1248602"
-  //   }
-  // ];
-
-  // RELEASES.reduce((sequence, release) => {
-  //   // console.log('...inside reduce');
-  //   // console.log(release);
-  //   return sequence.then(() => {
-  //     // console.log('...inside sequence.then');
-  //     return Bugziller.getRelease(release);
-  //   }).then(fullBugList => {
-  //     // console.log('bugList = ' + JSON.stringify(bugList));
-  //     return filterBugs(fullBugList);
-  //   }).then(classifiedLists => {
-  //     console.log('filtered = ' + JSON.stringify(classifiedLists));
-  //     return printData(release, classifiedLists);
-  //   });
-  // }, Promise.resolve())
-  // .catch((error) => console.error('something went WRONG ' + error))
-  // .then(() => UI.loading.classList.add('nope'));
+[UI.window, UI.excludeOutliers].forEach(control => {
+  control.addEventListener('change', () => {
+    statsOptions.window = parseInt(UI.window.value, 10) || null;
+    statsOptions.excludeOutliers = UI.excludeOutliers.checked;
+    Controls.set('window', statsOptions.window);
+    Controls.set('outliers', statsOptions.excludeOutliers ? 'exclude' : null);
+    loadedSprints().then(loaded => {
+      updateVelocity(loaded.bugArrays, loaded.current.config.weights);
+    });
+    if (comparisonShown) {
+      showComparison();
+    }
+  });
+});
 
+/**
+ * what the export buttons save, see ExportView: the sprints drawn, in the
+ * current metric and category, with the headline, and the releases
+ */
+function gatherExport() {
+  return loadedSprints().then(loaded => {
+    let weights = loaded.current.config.weights;
+    let sprints = loaded.sprints;
+    let rows = Report.rows(sprints, loaded.bugArrays.map(countedBugs),
+                           bugs => METRICS[metric](bugs, weights).value);
+    let summary = Stats.summary(rows.map(row => row.solved), statsOptions);
+    let headline = headlineOf(summary);
+    let unit = metric === "points" ? "points" : "bugs";
+    if (category && category !== SPLIT) {
+      unit = category + ' ' + unit;
+    }
+    let dates = sprints.length ? sprints[0].start + ' - ' +
+                                 sprints[sprints.length - 1].end : '';
+    return {
+      name: 'velocity' + (dates ? '-' + dates.replace(' - ', '-') : ''),
+      title: 'Velocity ' + dates,
+      unit: unit,
+      sprints: rows,
+      summary: summary,
+      headline: headline.velocity + ' ' + headline.deviation + ' ' + unit +
+                ' per sprint, ' + headline.median,
+      canvas: canvas,
+      // asking for the releases is a crawl, only the summary wants them
+      releases: () => loadReleases().then(() => {
+        let breakdown = ReleaseView.breakdown();
+        return breakdown.rows.length ? breakdown :
+               'No releases, see the Releases tab.';
+      })
+    };
+  });
+}
+ExportView.init(gatherExport);
+
+// the tab in the url is the one shown first
+session.then(current => {
+  if (current.config.view) {
+    showView(current.config.view);
+  }
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+/**
+ *  Node entry point: Bugziller with every backend registered, and the
+ *  helpers to turn what it gives into velocity numbers.
+ *
+ *  How to use:
+ *  const velocity = require("loop-velocity");
+ *  let bugziller = velocity.Bugziller.create({ products: ["Firefox"] });
+ *  let sprints = velocity.SprintCalendar.build({ start: "2016-01-04" });
+ */
+const Bugziller = require("./src/bugziller.js");
+require("./src/backends/bugzilla.js");
+require("./src/backends/github.js");
+require("./src/backends/jira.js");
+
+module.exports = {
+  Bugziller: Bugziller,
+  QueryCache: require("./src/cache.js"),
+  Crawler: require("./src/crawler.js"),
+  Accounting: require("./src/accounting.js"),
+  SprintCalendar: require("./src/calendar.js"),
+  Stats: require("./src/stats.js"),
+  Classifier: require("./src/classify.js"),
+  Weights: require("./src/weights.js"),
+  Breakdown: require("./src/breakdown.js"),
+  CycleTime: require("./src/cycletime.js"),
+  Flow: require("./src/flow.js"),
+  Forecast: require("./src/forecast.js"),
+  Report: require("./src/report.js")
+};
@@ -0,0 +1,149 @@
+"use strict";
+
+/**
+ *  Rules for what counts as solved in a sprint. Asking the tracker for
+ *  bugs whose resolution changed to FIXED in the sprint counts a bug fixed,
+ *  reopened and fixed again in two sprints, and never counts the ones
+ *  closed some other way.
+ *
+ *  options (the `accounting` key of the config):
+ *    rule         "every"  every fix counts, in the sprint it happened
+ *                 "final"  only the last fix counts, and only if the bug is
+ *                          still solved
+ *                 "net"    every fix counts, and every reopen of a solved
+ *                          bug takes one away from the sprint it happened
+ *    resolutions  resolutions that count as solved, e.g.
+ *                 ["FIXED", "WONTFIX"] to count triage as work too
+ *  "final" and "net" need the bug histories (see Bugziller's getHistory).
+ *
+ *  With "net", sprints can have reopened entries: copies of the bug with
+ *  `reopened: true`, that weigh as much as the bug but take it away.
+ *
+ *  How to use:
+ *  let entries = Accounting.entries(bug, history, "2016-01-04", "2016-01-18",
+ *                                   { rule: "net" });
+ *  Accounting.measure(entries, bugs => bugs.length);
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../libs/moment.js"));
+  } else {
+    namespace.Accounting = factory(namespace.moment);
+  }
+})(this, function(moment) {
+  const DEFAULTS = {
+    rule: "every",
+    resolutions: ["FIXED"]
+  };
+  const RULES = ["every", "final", "net"];
+  const DATE_FORMAT = "YYYY-MM-DD";
+
+  function settle(options) {
+    options = Object.assign({}, DEFAULTS, options);
+    if (RULES.indexOf(options.rule) === -1) {
+      throw new Error('unknown accounting rule: ' + options.rule);
+    }
+    return options;
+  }
+
+  // the tracker's own queries are enough for the default rule
+  function needsHistory(options) {
+    return settle(options).rule !== "every";
+  }
+
+  // only fixes, as the tracker queries already count them
+  function onlyFixes(options) {
+    let resolutions = settle(options).resolutions;
+    return resolutions.length === 1 && resolutions[0] === "FIXED";
+  }
+
+  function counts(resolution, options) {
+    return settle(options).resolutions.indexOf(resolution) !== -1;
+  }
+
+  // resolution changes of a bug, oldest first, as { when, from, to }
+  function transitions(history) {
+    let found = [];
+    (history || []).forEach(entry => {
+      entry.changes.forEach(change => {
+        if (change.field_name === "resolution") {
+          found.push({ when: entry.when, from: change.removed || "",
+                       to: change.added || "" });
+        }
+      });
+    });
+    return found;
+  }
+
+  /**
+   * what a bug adds to a sprint
+   * @param bug      the bug, as the range query gave it, maybe long ago
+   * @param history  its history, see Bugziller's getHistory
+   * @param start    first day of the sprint, "YYYY-MM-DD"
+   * @param end      first day after it
+   * @returns [entry] the bug once per time it counts, plus a reopened copy
+   *          per time it is taken away
+   */
+  function entries(bug, history, start, end, options) {
+    options = settle(options);
+    let from = moment(start, DATE_FORMAT);
+    let to = moment(end, DATE_FORMAT);
+    let inSprint = when => !moment(when).isBefore(from) &&
+                           moment(when).isBefore(to);
+    let changes = transitions(history);
+    let solving = changes.filter(change => {
+      return counts(change.to, options) && !counts(change.from, options);
+    });
+
+    if (options.rule === "final") {
+      let last = solving[solving.length - 1];
+      // the range answer of a sprint that is over is cached for good, the
+      // history tells whether it was reopened since
+      let latest = changes.length ? changes[changes.length - 1].to :
+                                    bug.resolution;
+      return last && inSprint(last.when) && counts(latest, options) ?
+             [bug] : [];
+    }
+    let found = solving.filter(change => inSprint(change.when))
+                       .map(() => bug);
+    if (options.rule === "net") {
+      changes.filter(change => {
+        return counts(change.from, options) && !change.to &&
+               inSprint(change.when);
+      }).forEach(() => {
+        found.push(Object.assign({}, bug, { reopened: true }));
+      });
+    }
+    return found;
+  }
+
+  // { counted: [bug], reopened: [bug] } out of the entries of a sprint
+  function split(entries) {
+    return {
+      counted: entries.filter(entry => !entry.reopened),
+      reopened: entries.filter(entry => !!entry.reopened)
+    };
+  }
+
+  /**
+   * what the entries of a sprint weigh, reopened ones taking away
+   * @param measureFn Function([bug]) -> Number
+   */
+  function measure(entries, measureFn) {
+    let parts = split(entries);
+    return measureFn(parts.counted) -
+           (parts.reopened.length ? measureFn(parts.reopened) : 0);
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    RULES: RULES,
+    needsHistory: needsHistory,
+    onlyFixes: onlyFixes,
+    counts: counts,
+    entries: entries,
+    split: split,
+    measure: measure
+  };
+
+});
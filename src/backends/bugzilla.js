@@ -0,0 +1,198 @@
+"use strict";
+
+/**
+ *  Bugzilla backend for Bugziller, through its REST api.
+ *
+ *  config:
+ *    url         base url of the Bugzilla instance
+ *    products    product name, or array of them
+ *    components  component name, or array of them
+ *    fields      extra fields to retrieve on every bug
+ *    apiKey      Bugzilla API key, for private bugs
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../bugziller.js"),
+                             require("../crawler.js"));
+  } else {
+    namespace.BugzillaBackend = factory(namespace.Bugziller,
+                                        namespace.Crawler);
+  }
+})(this, function(Bugziller, Crawler) {
+  // what we get when nobody tells us otherwise: Loop on Mozilla's Bugzilla
+  const DEFAULTS = {
+    url: "https://bugzilla.mozilla.org",
+    products: ["Hello (Loop)"],
+    components: [],
+    fields: [],
+    apiKey: null
+  };
+  // ids per query, before urls get too long
+  const ID_BATCH = 200;
+  const BASE_FIELDS = [
+    "id",
+    "summary",
+    "resolution",
+    "depends_on",
+    "assigned_to",
+    "component"
+  ];
+
+  var toList = Bugziller.toList;
+
+  /**
+   * common part of every query: fields to include, product/component
+   * filters and credentials. Multiple products or components are OR'ed
+   * by Bugzilla itself when the param is repeated.
+   */
+  function buildOptions(config) {
+    let fields = BASE_FIELDS.concat(toList(config.fields).filter(field => {
+      return BASE_FIELDS.indexOf(field) === -1;
+    }));
+    let params = ["include_fields=" + fields.join(',')];
+    toList(config.products).forEach(product => {
+      params.push("product=" + encodeURIComponent(product));
+    });
+    toList(config.components).forEach(component => {
+      params.push("component=" + encodeURIComponent(component));
+    });
+    if (config.apiKey) {
+      params.push("api_key=" + encodeURIComponent(config.apiKey));
+    }
+    return params.join('&');
+  }
+
+  function create(config) {
+    config = Object.assign({}, DEFAULTS, config);
+    const BASE_URL = config.url.replace(/\/+$/, '');
+    const QUERY_URL = BASE_URL + "/rest/bug?";
+    var options = buildOptions(config);
+
+    /**
+     * @param bugList [optional] limit the search to a series of bugs, long
+     *                ones are split so urls don't get too long, and asked
+     *                a few at a time as the crawler does
+     */
+    function query(filters, bugList) {
+      if (bugList && bugList.length > ID_BATCH) {
+        return Crawler.fetchAll(bugList, ids => query(filters, ids),
+                                Object.assign({}, config.crawler,
+                                              { batchSize: ID_BATCH }));
+      }
+      let url = QUERY_URL + options +
+                (!!bugList ? "&id=" + bugList.join(',') : "") +
+                filters;
+      return Bugziller.fetchJSON(url, { signal: config.signal })
+        .then(json => json.bugs);
+    }
+
+    /**
+     * what changed on every bug, and when
+     * @returns Promise [{ id, history: [{ when, who, changes }] }], changes
+     *          being [{ field_name, removed, added }]
+     */
+    function getHistory(bugArray) {
+      bugArray = [].concat(bugArray);
+      if (!bugArray.length) {
+        return Promise.resolve([]);
+      }
+      // the first id goes in the path, the rest as params
+      let params = bugArray.slice(1).map(id => "ids=" + id);
+      if (config.apiKey) {
+        params.push("api_key=" + encodeURIComponent(config.apiKey));
+      }
+      return Bugziller.fetchJSON(BASE_URL + "/rest/bug/" + bugArray[0] +
+                                 "/history?" + params.join('&'),
+                                 { signal: config.signal })
+        .then(json => json.bugs);
+    }
+
+    /*
+     * get basic info from bug(s)
+     * bug details, immediate dependencies
+     */
+    function getBug(bugArray) {
+      return query("", bugArray);
+    }
+
+    // bugs whose resolution changed to FIXED in the range
+    function getSolved(start, end, bugList) {
+      return query("&f1=resolution" +
+                   "&o1=changedafter" +
+                   "&v1=" + start +
+                   "&f2=resolution" +
+                   "&o2=changedbefore" +
+                   "&v2=" + end +
+                   "&f3=resolution" +
+                   "&o3=changedto" +
+                   "&v3=fixed", bugList);
+    }
+
+    // bugs whose resolution changed in the range, to anything
+    function getResolved(start, end, bugList) {
+      return query("&f1=resolution" +
+                   "&o1=changedafter" +
+                   "&v1=" + start +
+                   "&f2=resolution" +
+                   "&o2=changedbefore" +
+                   "&v2=" + end, bugList);
+    }
+
+    // bugs that got an assignee in the range
+    function getCommitted(start, end, bugList) {
+      return query("&f1=assigned_to" +
+                   "&o1=changedafter" +
+                   "&v1=" + start +
+                   "&f2=assigned_to" +
+                   "&o2=changedbefore" +
+                   "&v2=" + end +
+                   "&f3=assigned_to" +
+                   "&o3=changedfrom" +
+                   "&v3=nobody%40mozilla.org", bugList);
+    }
+
+    // bugs that got an assignee AND were fixed in the range
+    function getCompleted(start, end, bugList) {
+      return query("&f1=assigned_to" +
+                   "&o1=changedafter" +
+                   "&v1=" + start +
+                   "&f2=assigned_to" +
+                   "&o2=changedbefore" +
+                   "&v2=" + end +
+                   "&f3=assigned_to" +
+                   "&o3=changedfrom" +
+                   "&v3=nobody%40mozilla.org" +
+                   "&f4=resolution" +
+                   "&o4=changedafter" +
+                   "&v4=" + start +
+                   "&f5=resolution" +
+                   "&o5=changedbefore" +
+                   "&v5=" + end +
+                   "&f6=resolution" +
+                   "&o6=changedto" +
+                   "&v6=fixed", bugList);
+    }
+
+    function bugUrl(id) {
+      return BASE_URL + "/show_bug.cgi?id=" + id;
+    }
+
+    return {
+      getBug: getBug,
+      bugUrl: bugUrl,
+      getHistory: getHistory,
+      getSolved: getSolved,
+      getCommitted: getCommitted,
+      getCompleted: getCompleted,
+      getResolved: getResolved
+    };
+  }
+
+  Bugziller.register("bugzilla", create);
+
+  return {
+    DEFAULTS: DEFAULTS,
+    create: create
+  };
+
+});
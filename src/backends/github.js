@@ -0,0 +1,254 @@
+"use strict";
+
+/**
+ *  GitHub Issues backend for Bugziller.
+ *  Dependencies are GitHub's sub-issues, and issues get ids like
+ *  "owner/name#123" so several repos can be tracked at once (plain
+ *  numbers are taken as issues of the first repo).
+ *
+ *  config:
+ *    url     api url, api.github.com unless using GitHub Enterprise
+ *    repos   "owner/name", or array of them
+ *    labels  [optional] only issues with any of these labels
+ *    token   [optional] personal access token, for private repos and
+ *            higher rate limits
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../bugziller.js"),
+                             require("../../libs/moment.js"));
+  } else {
+    namespace.GitHubBackend = factory(namespace.Bugziller, namespace.moment);
+  }
+})(this, function(Bugziller, moment) {
+  const DEFAULTS = {
+    url: "https://api.github.com",
+    repos: [],
+    labels: [],
+    token: null
+  };
+  // github won't give more than that per page
+  const PAGE_SIZE = 100;
+  // how far back github keeps the issue events
+  const EVENT_DAYS = 90;
+
+  var toList = Bugziller.toList;
+
+  // github closes issues for several reasons, we want bugzilla's names
+  const RESOLUTIONS = {
+    completed: "FIXED",
+    not_planned: "WONTFIX",
+    duplicate: "DUPLICATE"
+  };
+
+  function normalize(repo, issue) {
+    let resolution = "";
+    if (issue.state === "closed") {
+      // issues closed before state_reason existed were all completions
+      resolution = RESOLUTIONS[issue.state_reason] || "FIXED";
+    }
+    return {
+      id: repo + "#" + issue.number,
+      summary: issue.title,
+      resolution: resolution,
+      depends_on: [],
+      url: issue.html_url,
+      assigned_to: issue.assignee ? issue.assignee.login : null,
+      // repos are what components are in bugzilla
+      component: repo,
+      // and labels what keywords are
+      keywords: (issue.labels || []).map(label => label.name || label),
+      creation_time: issue.created_at
+    };
+  }
+
+  // "owner/name" out of an api url of an issue
+  function repoFromUrl(url) {
+    return url.split('/repos/')[1].split('/issues')[0];
+  }
+
+  function create(config) {
+    config = Object.assign({}, DEFAULTS, config);
+    const API_URL = config.url.replace(/\/+$/, '');
+    var repos = toList(config.repos);
+    if (!repos.length) {
+      throw new Error('github backend needs at least one repo');
+    }
+    var headers = { Accept: "application/vnd.github+json" };
+    if (config.token) {
+      headers.Authorization = "Bearer " + config.token;
+    }
+
+    function request(path) {
+      return Bugziller.fetchJSON(API_URL + path, { headers: headers,
+                                                   signal: config.signal });
+    }
+
+    // accepts 123, "123", "#123" or "owner/name#123"
+    function parseId(id) {
+      id = String(id);
+      if (id.indexOf('#') > 0) {
+        return id;
+      }
+      return repos[0] + "#" + id.replace('#', '');
+    }
+
+    function issuePath(id) {
+      let parts = id.split('#');
+      return "/repos/" + parts[0] + "/issues/" + parts[1];
+    }
+
+    // same label filter the search applies, for raw issues
+    function hasLabel(issue) {
+      let labels = toList(config.labels);
+      return !labels.length || (issue.labels || []).some(label => {
+        return labels.indexOf(label.name) !== -1;
+      });
+    }
+
+    // keeps only the issues in the list, when there's a list at all
+    function limitTo(issues, bugList) {
+      if (!bugList) {
+        return issues;
+      }
+      let wanted = {};
+      bugList.forEach(id => wanted[parseId(id)] = true);
+      return issues.filter(issue => !!wanted[issue.id]);
+    }
+
+    /**
+     * runs a search, following pages until everything is there
+     * (the search api stops at 1000 results anyway)
+     */
+    function search(qualifiers, page, found) {
+      page = page || 1;
+      found = found || [];
+      let terms = repos.map(repo => "repo:" + repo)
+        .concat(["is:issue"], qualifiers);
+      let labels = toList(config.labels);
+      if (labels.length) {
+        terms.push("label:" + labels.map(l => JSON.stringify(l)).join(','));
+      }
+      return request("/search/issues?q=" + encodeURIComponent(terms.join(' ')) +
+                     "&per_page=" + PAGE_SIZE + "&page=" + page)
+        .then(json => {
+          found = found.concat(json.items.map(issue => {
+            return normalize(repoFromUrl(issue.url), issue);
+          }));
+          if (json.items.length < PAGE_SIZE ||
+              found.length >= json.total_count) {
+            return found;
+          }
+          return search(qualifiers, page + 1, found);
+        });
+    }
+
+    /*
+     * get basic info from issue(s)
+     * issue details, and its sub-issues as dependencies
+     */
+    function getBug(bugArray) {
+      return Promise.all([].concat(bugArray).map(parseId).map(id => {
+        return Promise.all([
+          request(issuePath(id)),
+          request(issuePath(id) + "/sub_issues?per_page=" + PAGE_SIZE)
+        ]).then(responses => {
+          let issue = normalize(id.split('#')[0], responses[0]);
+          issue.depends_on = responses[1].map(sub => {
+            return repoFromUrl(sub.url) + "#" + sub.number;
+          });
+          return issue;
+        });
+      }));
+    }
+
+    // `end` is the first day out, as everywhere else, ".." would take it in
+    function closedIn(start, end) {
+      return ["closed:>=" + start, "closed:<" + end];
+    }
+
+    function getSolved(start, end, bugList) {
+      let qualifiers = ["is:closed", "reason:completed"];
+      return search(qualifiers.concat(closedIn(start, end)))
+        .then(issues => limitTo(issues, bugList));
+    }
+
+    // closed for any reason, reopened ones are not in the search anymore
+    function getResolved(start, end, bugList) {
+      return search(["is:closed"].concat(closedIn(start, end)))
+        .then(issues => limitTo(issues, bugList));
+    }
+
+    /**
+     * search can't tell when an issue was assigned, so we go through the
+     * repo events instead. They come newest first, so we stop paging as
+     * soon as we're before `start`.
+     */
+    function getAssignedEvents(repo, start, end, page, found) {
+      page = page || 1;
+      found = found || {};
+      let from = moment(start).startOf('day');
+      let to = moment(end).startOf('day');
+      return request("/repos/" + repo + "/issues/events?per_page=" +
+                     PAGE_SIZE + "&page=" + page)
+        .then(events => {
+          let older = false;
+          events.forEach(event => {
+            let date = moment(event.created_at);
+            if (date.isBefore(from)) {
+              older = true;
+            } else if (event.event === "assigned" && date.isBefore(to) &&
+                       !event.issue.pull_request && hasLabel(event.issue)) {
+              let issue = normalize(repo, event.issue);
+              found[issue.id] = issue;
+            }
+          });
+          if (older || events.length < PAGE_SIZE) {
+            return Object.keys(found).map(id => found[id]);
+          }
+          return getAssignedEvents(repo, start, end, page + 1, found);
+        });
+    }
+
+    // github only keeps the last EVENT_DAYS of events, older ranges would
+    // come back empty as if nothing had been assigned
+    function getCommitted(start, end, bugList) {
+      let oldest = moment().subtract(EVENT_DAYS, 'days').startOf('day');
+      if (moment(start).isBefore(oldest)) {
+        return Promise.reject(new Error('github only keeps ' + EVENT_DAYS +
+                                        ' days of issue events, cannot ' +
+                                        'tell what was assigned from ' +
+                                        start));
+      }
+      return Promise.all(repos.map(repo => {
+        return getAssignedEvents(repo, start, end);
+      })).then(lists => {
+        return limitTo([].concat.apply([], lists), bugList);
+      });
+    }
+
+    // api.github.com -> github.com, https://ghe.example.com/api/v3 -> itself
+    function bugUrl(id) {
+      let web = API_URL.replace('//api.github.com', '//github.com')
+                       .replace(/\/api\/v3$/, '');
+      return web + issuePath(parseId(id)).replace('/repos', '');
+    }
+
+    return {
+      getBug: getBug,
+      bugUrl: bugUrl,
+      normalizeId: parseId,
+      getSolved: getSolved,
+      getCommitted: getCommitted,
+      getResolved: getResolved
+    };
+  }
+
+  Bugziller.register("github", create);
+
+  return {
+    DEFAULTS: DEFAULTS,
+    create: create
+  };
+
+});
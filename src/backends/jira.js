@@ -0,0 +1,198 @@
+"use strict";
+
+/**
+ *  Jira backend for Bugziller, through its REST api (v2).
+ *  Dependencies are sub-tasks plus "is blocked by" links, and issues keep
+ *  their Jira key ("LOOP-123") as id.
+ *
+ *  config:
+ *    url               base url of the Jira instance
+ *    projects          project key, or array of them
+ *    jql               [optional] extra JQL every query is AND'ed with
+ *    fixedResolutions  resolutions that count as FIXED
+ *    email, token      [optional] basic auth for Jira Cloud (api token)
+ *    token             [optional] alone, a Data Center personal token
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../bugziller.js"),
+                             require("../crawler.js"));
+  } else {
+    namespace.JiraBackend = factory(namespace.Bugziller, namespace.Crawler);
+  }
+})(this, function(Bugziller, Crawler) {
+  const DEFAULTS = {
+    url: null,
+    projects: [],
+    jql: null,
+    fixedResolutions: ["Fixed", "Done"],
+    email: null,
+    token: null
+  };
+  const FIELDS = [
+    "summary",
+    "resolution",
+    "subtasks",
+    "issuelinks",
+    "assignee",
+    "components",
+    "labels",
+    "created"
+  ];
+  const PAGE_SIZE = 100;
+  // keys per query, before urls get too long
+  const KEY_BATCH = 100;
+  // jira link type whose inward side means "depends on"
+  const BLOCKS = "Blocks";
+
+  var toList = Bugziller.toList;
+
+  // quoted list for JQL's `in (...)`
+  function jqlList(values) {
+    return "(" + values.map(value => JSON.stringify(String(value)))
+                       .join(',') + ")";
+  }
+
+  function create(config) {
+    config = Object.assign({}, DEFAULTS, config);
+    if (!config.url) {
+      throw new Error('jira backend needs the url of the instance');
+    }
+    const BASE_URL = config.url.replace(/\/+$/, '');
+    const SEARCH_URL = BASE_URL + "/rest/api/2/search?";
+    var headers = { Accept: "application/json" };
+    if (config.email && config.token) {
+      headers.Authorization = "Basic " + btoa(config.email + ":" + config.token);
+    } else if (config.token) {
+      headers.Authorization = "Bearer " + config.token;
+    }
+    var fixed = toList(config.fixedResolutions);
+
+    function normalize(issue) {
+      let fields = issue.fields;
+      let resolution = "";
+      if (fields.resolution) {
+        resolution = fixed.indexOf(fields.resolution.name) !== -1 ?
+                     "FIXED" : fields.resolution.name.toUpperCase();
+      }
+      let blockers = (fields.issuelinks || []).filter(link => {
+        return link.type.name === BLOCKS && !!link.inwardIssue;
+      }).map(link => link.inwardIssue.key);
+      return {
+        id: issue.key,
+        summary: fields.summary,
+        resolution: resolution,
+        depends_on: (fields.subtasks || []).map(sub => sub.key)
+                                          .concat(blockers),
+        assigned_to: fields.assignee ? fields.assignee.displayName : null,
+        component: (fields.components || []).map(component => component.name),
+        // labels are what keywords are in bugzilla
+        keywords: fields.labels || [],
+        creation_time: fields.created
+      };
+    }
+
+    /**
+     * runs a JQL search limited to the configured projects, following
+     * pages until everything is there
+     * @param clauses [String] AND'ed together
+     */
+    function search(clauses, bugList, startAt, found) {
+      startAt = startAt || 0;
+      found = found || [];
+      let projects = toList(config.projects);
+      let jql = clauses.slice();
+      if (projects.length) {
+        jql.push("project in " + jqlList(projects));
+      }
+      if (config.jql) {
+        jql.push("(" + config.jql + ")");
+      }
+      // long lists are split, and asked a few at a time as the crawler does
+      if (bugList && bugList.length > KEY_BATCH) {
+        return Crawler.fetchAll(bugList, keys => search(clauses, keys),
+                                Object.assign({}, config.crawler,
+                                              { batchSize: KEY_BATCH }));
+      }
+      if (bugList) {
+        jql.push("key in " + jqlList(bugList));
+      }
+      return Bugziller.fetchJSON(SEARCH_URL +
+                                 "jql=" + encodeURIComponent(jql.join(" AND ")) +
+                                 "&fields=" + FIELDS.join(',') +
+                                 "&startAt=" + startAt +
+                                 "&maxResults=" + PAGE_SIZE,
+                                 { headers: headers, signal: config.signal })
+        .then(json => {
+          found = found.concat(json.issues.map(normalize));
+          if (!json.issues.length || found.length >= json.total) {
+            return found;
+          }
+          return search(clauses, bugList, startAt + json.issues.length, found);
+        });
+    }
+
+    /*
+     * get basic info from issue(s)
+     * issue details, sub-tasks and blockers as dependencies
+     */
+    function getBug(bugArray) {
+      bugArray = [].concat(bugArray);
+      if (!bugArray.length) {
+        return Promise.resolve([]);
+      }
+      return search([], bugArray);
+    }
+
+    function resolvedClause(start, end) {
+      return "resolution in " + jqlList(fixed) +
+             " AND resolutiondate >= " + JSON.stringify(start) +
+             " AND resolutiondate < " + JSON.stringify(end);
+    }
+
+    function assignedClause(start, end) {
+      return "assignee changed during (" + JSON.stringify(start) + ", " +
+             JSON.stringify(end) + ") AND assignee is not EMPTY";
+    }
+
+    // resolved with anything, reopened issues lose their resolutiondate
+    function getResolved(start, end, bugList) {
+      return search(["resolutiondate >= " + JSON.stringify(start) +
+                     " AND resolutiondate < " + JSON.stringify(end)], bugList);
+    }
+
+    function getSolved(start, end, bugList) {
+      return search([resolvedClause(start, end)], bugList);
+    }
+
+    function getCommitted(start, end, bugList) {
+      return search([assignedClause(start, end)], bugList);
+    }
+
+    function getCompleted(start, end, bugList) {
+      return search([assignedClause(start, end),
+                     resolvedClause(start, end)], bugList);
+    }
+
+    function bugUrl(key) {
+      return BASE_URL + "/browse/" + key;
+    }
+
+    return {
+      getBug: getBug,
+      bugUrl: bugUrl,
+      getSolved: getSolved,
+      getCommitted: getCommitted,
+      getCompleted: getCompleted,
+      getResolved: getResolved
+    };
+  }
+
+  Bugziller.register("jira", create);
+
+  return {
+    DEFAULTS: DEFAULTS,
+    create: create
+  };
+
+});
@@ -0,0 +1,162 @@
+"use strict";
+
+/**
+ *  Splits the bugs of every sprint by one of their fields (component,
+ *  assignee...) instead of adding them up into a single number, and
+ *  tells how the throughput of every assignee goes over the sprints.
+ *
+ *  options (the `breakdown` key of the config):
+ *    fields   bug fields the sprints can be split by, the first one is
+ *             the default. Extra ones ("priority", "cf_...") go here too
+ *    private  fields whose values are people, hidden when anonymizing
+ *    top      biggest groups shown, the rest go together as "others"
+ *    nobody   values that mean nobody is assigned
+ *
+ *  How to use:
+ *  let groups = Breakdown.group(solvedPerSprint, "component", bugs => bugs.length);
+ *  groups.keys;                // ["General", "Client", "others"]
+ *  groups.series.General;      // [3, 5, 2] one per sprint
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./stats.js"));
+  } else {
+    namespace.Breakdown = factory(namespace.Stats);
+  }
+})(this, function(Stats) {
+  const DEFAULTS = {
+    fields: ["component", "assigned_to"],
+    private: ["assigned_to"],
+    top: 8,
+    nobody: ["nobody@mozilla.org"]
+  };
+  const ASSIGNEE = "assigned_to";
+  const NONE = "(none)";
+  const OTHERS = "others";
+
+  // bug fields the tracker has to give for the breakdown to work
+  function fields(options) {
+    options = Object.assign({}, DEFAULTS, options);
+    return [ASSIGNEE].concat(options.fields.filter(field => {
+      return field !== ASSIGNEE;
+    }));
+  }
+
+  /**
+   * the group a bug goes to for a field, lists (keywords, several
+   * components in jira) become one group with all of them
+   */
+  function keyOf(bug, field, options) {
+    options = Object.assign({}, DEFAULTS, options);
+    let value = [].concat(bug[field] === undefined ? [] : bug[field])
+                  .filter(item => item !== null && item !== "")
+                  .join(', ');
+    return !value || options.nobody.indexOf(value) !== -1 ? NONE : value;
+  }
+
+  // { key: [bug] } of a sprint
+  function split(bugs, field, options) {
+    let groups = {};
+    bugs.forEach(bug => {
+      let key = keyOf(bug, field, options);
+      groups[key] = (groups[key] || []).concat(bug);
+    });
+    return groups;
+  }
+
+  /**
+   * @param bugArrays [[bug]] one list per sprint
+   * @param field     what to split them by
+   * @param measure   Function([bug]) -> Number, how much a group weighs
+   * @returns { keys, series: { key: [value per sprint] }, totals: { key } }
+   *          keys biggest first, the smaller ones together as "others"
+   */
+  function group(bugArrays, field, measure, options) {
+    options = Object.assign({}, DEFAULTS, options);
+    let splits = bugArrays.map(bugs => split(bugs, field, options));
+    let totals = {};
+    splits.forEach(groups => {
+      Object.keys(groups).forEach(key => {
+        totals[key] = (totals[key] || 0) + measure(groups[key]);
+      });
+    });
+    let keys = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+    let shown = keys.length > options.top ? keys.slice(0, options.top - 1) :
+                                            keys;
+    let hidden = keys.filter(key => shown.indexOf(key) === -1);
+
+    let series = {};
+    shown.forEach(key => {
+      series[key] = splits.map(groups => {
+        return groups[key] ? measure(groups[key]) : 0;
+      });
+    });
+    if (hidden.length) {
+      series[OTHERS] = splits.map(groups => {
+        let bugs = hidden.map(key => groups[key] || []);
+        return measure([].concat.apply([], bugs));
+      });
+      totals[OTHERS] = series[OTHERS].reduce((sum, value) => sum + value, 0);
+      shown = shown.concat(OTHERS);
+    }
+    return { keys: shown, series: series, totals: totals };
+  }
+
+  /**
+   * throughput of every assignee over the sprints
+   * @returns [{ name, values, mean, slope }] the busiest first, `slope`
+   *          is how much their throughput changes from sprint to sprint
+   */
+  function trends(bugArrays, measure, options) {
+    let splits = bugArrays.map(bugs => split(bugs, ASSIGNEE, options));
+    let names = {};
+    splits.forEach(groups => Object.keys(groups).forEach(name => {
+      names[name] = true;
+    }));
+    return Object.keys(names).map(name => {
+      let values = splits.map(groups => {
+        return groups[name] ? measure(groups[name]) : 0;
+      });
+      return {
+        name: name,
+        values: values,
+        mean: Stats.average(values),
+        slope: Stats.slope(values)
+      };
+    }).sort((a, b) => b.mean - a.mean);
+  }
+
+  /**
+   * aliases for names, to share the numbers outside the team. They follow
+   * the order given, so the same data always gives the same aliases.
+   * @returns { name: alias }
+   */
+  function anonymize(names) {
+    let aliases = {};
+    let count = 0;
+    names.forEach(name => {
+      if (name === NONE || name === OTHERS) {
+        aliases[name] = name;
+      } else if (!aliases.hasOwnProperty(name)) {
+        aliases[name] = "person " + (++count);
+      }
+    });
+    return aliases;
+  }
+
+  function isPrivate(field, options) {
+    options = Object.assign({}, DEFAULTS, options);
+    return options.private.indexOf(field) !== -1;
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    fields: fields,
+    keyOf: keyOf,
+    group: group,
+    trends: trends,
+    anonymize: anonymize,
+    isPrivate: isPrivate
+  };
+
+});
@@ -0,0 +1,437 @@
+"use strict";
+
+/**
+ *  Promise based queries for retrieving tracker information
+ *  Returns a list of every bug dependency from an other certain bug,
+ *  including CLOSED bugs, and METAs
+ *  Further queries and flters can be done after
+ *
+ *  The tracker itself is a pluggable backend (Bugzilla, GitHub, Jira...),
+ *  every backend registers a factory that, given the config, returns an
+ *  object with:
+ *    getBug(ids)                     -> Promise [issue]
+ *    getSolved(start, end, ids)      -> Promise [issue] resolved in range
+ *    getCommitted(start, end, ids)   -> Promise [issue] assigned in range
+ *    getCompleted(start, end, ids)   -> [optional] both of the above
+ *    getResolved(start, end, ids)    -> [optional] Promise [issue] whose
+ *                                       resolution changed in range, to
+ *                                       anything (reopens too)
+ *    normalizeId(id)                 -> [optional] id as the tracker gives it
+ *    bugUrl(id)                      -> [optional] web page of the bug
+ *    getHistory(ids)                 -> [optional] Promise with what changed
+ *                                       on every bug, see getHistory below
+ *  Dates arrive as "YYYY-MM-DD" strings, `ids` is an optional list to
+ *  limit the search to. Every issue is normalized to Bugzilla's shape:
+ *    { id, summary, resolution, depends_on, assigned_to, component }
+ *  with `resolution` empty while open and "FIXED" when done, and labels,
+ *  if the tracker has them, as `keywords`. Dependency trees are crawled
+ *  here (see Crawler) out of getBug, in batches.
+ *  `config.signal`, an AbortSignal, is handed to every request, so
+ *  whatever is going on can be cancelled (see withSignal).
+ *
+ *  How to use:
+ *  let bugziller = Bugziller.create({ products: ["Firefox"] });
+ *  bugziller.getAll(bugNumber).then(bugList => {
+ *    let filtered = bugList.filter()
+ *    // do something with the filtered list
+ *  });
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../libs/moment.js"),
+                             require("./cache.js"),
+                             require("./crawler.js"),
+                             require("./accounting.js"),
+                             require("./classify.js"));
+  } else {
+    namespace.Bugziller = factory(namespace.moment, namespace.QueryCache,
+                                  namespace.Crawler, namespace.Accounting,
+                                  namespace.Classifier);
+  }
+})(this, function(moment, QueryCache, Crawler, Accounting, Classifier) {
+  const DEFAULT_BACKEND = "bugzilla";
+  const DATE_FORMAT = "YYYY-MM-DD";
+  const INPUT_FORMATS = ["DD/MM/YYYY", DATE_FORMAT];
+  // how long the answer for a range that is not over yet stays fresh
+  const OPEN_RANGE_MAX_AGE = 15 * 60 * 1000;
+  // bugs change less than ranges, but they can be reopened any day
+  const HISTORY_MAX_AGE = 24 * 60 * 60 * 1000;
+
+  var backends = {};
+
+  // checks if a specific bug is a [Meta], or a tracker, see Classifier
+  function isMeta(bug) {
+    return Classifier.isMeta(bug);
+  }
+
+  //checks if a bug is closed, independently of the reason for it
+  function isClosed(bug) {
+    return !!bug.resolution;
+  }
+
+  // checks if a bug is fixed
+  function isFixed(bug) {
+    return bug.resolution === "FIXED";
+  }
+
+  // requests cancelled with an AbortController fail this way
+  function isAborted(error) {
+    return !!error && error.name === "AbortError";
+  }
+
+  // products, components, repos... can come as a single string too
+  function toList(value) {
+    return [].concat(value || []).filter(item => !!item);
+  }
+
+  // fetch + json, but failing on HTTP errors instead of parsing them
+  function fetchJSON(url, options) {
+    return fetch(url, options).then(response => {
+      if (!response.ok) {
+        let error = new Error(response.status + ' ' + response.statusText +
+                              ' for ' + url);
+        // so whoever retries can tell what is worth retrying
+        error.status = response.status;
+        throw error;
+      }
+      return response.json();
+    });
+  }
+
+  /**
+   * Makes a backend available for Bugziller.create
+   * @param name    String, what goes in config.backend
+   * @param factory Function(config) returning the backend object
+   */
+  function register(name, factory) {
+    backends[name] = factory;
+  }
+
+  /**
+   * Creates a Bugziller bound to a tracker.
+   * @param config  Object, `backend` picks the tracker (bugzilla by default),
+   *                `cache: false` skips the query cache, `crawler` tunes
+   *                the dependency crawling (see Crawler.DEFAULTS),
+   *                `accounting` what counts as solved (see Accounting),
+   *                everything else is handed to that backend
+   */
+  function create(config) {
+    config = config || {};
+    let name = config.backend || DEFAULT_BACKEND;
+    if (!backends[name]) {
+      throw new Error('unknown tracker backend: ' + name);
+    }
+    var backend = backends[name](config);
+    var normalizeId = backend.normalizeId || (id => id);
+
+    /*
+     * get basic info from bug(s), in batches however many they are
+     * bug details, immediate dependencies
+     */
+    function getBugs(bugArray) {
+      return Crawler.fetchAll([].concat(bugArray).map(normalizeId),
+                              backend.getBug, config.crawler);
+    }
+
+    /**
+     * get the dependency tree of bug(s), see Crawler.crawl
+     * includes CLOSED bugs, and METAs
+     */
+    function getTree(bugArray) {
+      return Crawler.crawl([].concat(bugArray).map(normalizeId),
+                           backend.getBug, config.crawler);
+    }
+
+    // where to see a bug in the tracker, null if we can't tell
+    function bugUrl(bug) {
+      return bug.url || (backend.bugUrl ? backend.bugUrl(bug.id) : null);
+    }
+
+    /**
+     * what changed on every bug and when, in Bugzilla's shape:
+     *   [{ id, history: [{ when, who, changes: [{ field_name, removed, added }] }] }]
+     * every bug is cached apart, so only the ones not seen lately are asked
+     */
+    function getHistory(bugArray) {
+      if (!backend.getHistory) {
+        return Promise.reject(new Error('the ' + name + ' backend ' +
+                                        'has no bug history'));
+      }
+      let ids = [].concat(bugArray).map(normalizeId);
+      let keyOf = id => QueryCache.key(config, "getHistory", [id]);
+      let found = {};
+      if (config.cache !== false) {
+        ids.forEach(id => {
+          let cached = QueryCache.get(keyOf(id));
+          if (cached !== undefined) {
+            found[id] = cached;
+          }
+        });
+      }
+      let missing = ids.filter(id => !found[id]);
+      return Crawler.fetchAll(missing, backend.getHistory, config.crawler)
+        .then(histories => {
+          histories.forEach(bug => {
+            found[bug.id] = bug;
+            if (config.cache !== false) {
+              QueryCache.set(keyOf(bug.id), bug, HISTORY_MAX_AGE);
+            }
+          });
+          return ids.filter(id => !!found[id]).map(id => found[id]);
+        });
+    }
+
+    /**
+     * get everything related to a bug
+     * details, dependencies, and subdependencies, as a flat id list
+     */
+    function getAll(bugArray) {
+      return getTree(bugArray).then(tree => Crawler.ids(tree));
+    }
+
+    /**
+     * range queries go through the cache: once a range is over its bugs
+     * won't change, so only the one going on gets asked again
+     */
+    function cachedRange(query) {
+      return function(start, end, bugList) {
+        if (config.cache === false) {
+          return backend[query](start, end, bugList);
+        }
+        let key = QueryCache.key(config, query, [start, end, bugList]);
+        let cached = QueryCache.get(key);
+        if (cached !== undefined) {
+          return Promise.resolve(cached);
+        }
+        let isOver = moment(end, DATE_FORMAT).isBefore(moment(), 'day');
+        return backend[query](start, end, bugList).then(bugs => {
+          return QueryCache.set(key, bugs, isOver ? QueryCache.FOREVER :
+                                                    OPEN_RANGE_MAX_AGE);
+        });
+      };
+    }
+    var getSolved = cachedRange("getSolved");
+    var getCommitted = cachedRange("getCommitted");
+    var getCompleted = backend.getCompleted ? cachedRange("getCompleted") : null;
+    var cachedResolved = cachedRange("getResolved");
+
+    // only some accounting rules and the triage need it, so it's optional
+    function getResolved(start, end, bugList) {
+      if (!backend.getResolved) {
+        return Promise.reject(new Error('the ' + name + ' backend cannot ' +
+                                        'tell when bugs were resolved'));
+      }
+      return cachedResolved(start, end, bugList);
+    }
+
+    // bugs that are both in the solved and committed lists
+    function intersect(solved, committed) {
+      let committedIds = {};
+      committed.forEach(bug => committedIds[bug.id] = true);
+      return solved.filter(bug => !!committedIds[bug.id]);
+    }
+
+    /**
+     * get all data for a specific release based on the dates of it
+     * commited:  all bugs that were assigned to someone during the release.
+     *            They may or may not have been solved on time.
+     * solved:    all bugs that were solved during the release.
+     *            Could have been assigned on previous release though
+     * complete:  100% on time. bugs that were assigned AND solved during the release
+     * @param start   Date starting date for the release query, as
+     *                DD/MM/YYYY or YYYY-MM-DD
+     * @param end     Date ending date for the release query
+     * @param bugList [optional] limit the search to a series of bugs
+     * @returns Promise with [solved, committed, completed]
+     */
+    function getAllFromDates(start, end, bugList) {
+      let dateIni = moment(start, INPUT_FORMATS, true);
+      dateIni = (dateIni.isValid() ? dateIni : moment()).format(DATE_FORMAT);
+      let dateEnd = moment(end, INPUT_FORMATS, true);
+      dateEnd = (dateEnd.isValid() ? dateEnd : moment()).format(DATE_FORMAT);
+
+      let solved = getSolved(dateIni, dateEnd, bugList);
+      let committed = getCommitted(dateIni, dateEnd, bugList);
+      let completed = getCompleted ?
+                      getCompleted(dateIni, dateEnd, bugList) :
+                      Promise.all([solved, committed])
+                        .then(lists => intersect(lists[0], lists[1]));
+
+      return Promise.all([solved, committed, completed]);
+    }
+
+    function getReleaseData(release) {
+      if (!release) {
+        // the views list it with whatever else failed
+        return Promise.reject(new Error('no release to check'));
+      }
+      // bug dependency
+      if (release.bug) {
+        return getAll(release.bug).then(list => {
+          return getAllFromDates(release.start, release.end, list);
+        });
+      }
+      // date dependency
+      return getAllFromDates(release.start, release.end);
+    }
+
+    /**
+     * what counts as solved in a range, following the accounting rules
+     * @returns Promise [entry] bugs, and with the "net" rule reopened
+     *          copies of them too, see Accounting.entries
+     */
+    function getCounted(start, end) {
+      let rules = config.accounting;
+      if (!Accounting.needsHistory(rules)) {
+        if (Accounting.onlyFixes(rules)) {
+          return getSolved(start, end);
+        }
+        // fixes as always, plus the bugs closed in the ways that count too
+        let fixes = Accounting.counts("FIXED", rules) ? getSolved(start, end) :
+                                                        Promise.resolve([]);
+        return Promise.all([fixes, getResolved(start, end)]).then(lists => {
+          return lists[0].concat(lists[1].filter(bug => {
+            return !isFixed(bug) && Accounting.counts(bug.resolution, rules);
+          }));
+        });
+      }
+      return getResolved(start, end).then(bugs => {
+        return getHistory(bugs.map(bug => bug.id)).then(histories => {
+          let byId = {};
+          histories.forEach(bug => byId[String(bug.id)] = bug.history);
+          return bugs.reduce((found, bug) => {
+            return found.concat(Accounting.entries(bug, byId[String(bug.id)],
+                                                   start, end, rules));
+          }, []);
+        });
+      });
+    }
+
+    // bugs closed in the range for any reason but a fix: triage work
+    function getClosedNotFixed(start, end) {
+      return getResolved(start, end).then(bugs => {
+        return bugs.filter(bug => isClosed(bug) && !isFixed(bug));
+      });
+    }
+
+    // what failed, and on which sprints, as one error
+    function sprintsFailed(failures, total) {
+      failures.sort((a, b) => a.position - b.position);
+      let error = new Error(failures.length + ' of ' + total +
+                            ' sprints failed: ' + failures.map(failure => {
+                              let sprint = failure.sprint;
+                              return (sprint.name || sprint.start + ' - ' +
+                                                     sprint.end) +
+                                     ' (' + failure.error.message + ')';
+                            }).join(', '));
+      error.failures = failures;
+      return error;
+    }
+
+    /**
+     * runs a range query for every sprint, all at once, but hands them
+     * back in sprint order. A sprint failing doesn't stop the others, they
+     * are all waited for and then it fails naming every sprint that did,
+     * in `error.failures` as [{ sprint, position, error }]. Sprints after
+     * the first that failed are not handed to onSprint.
+     */
+    function perSprint(sprintArray, query, onSprint, onProgress) {
+      var fullResponse = [];
+      var failures = [];
+      var loaded = 0;
+
+      return sprintArray.map((sprint, position) => {
+        return query(sprint.start, sprint.end).then(solvedArray => {
+          loaded++;
+          if (onProgress) {
+            onProgress(loaded, sprintArray.length);
+          }
+          return solvedArray;
+        }, error => {
+          failures.push({ sprint: sprint, position: position, error: error });
+          return null;
+        });
+      }).reduce((sequence, result, position) => {
+        return sequence.then(function() {
+          return result;
+        }).then(solvedArray => {
+          if (!solvedArray || fullResponse.length !== position) {
+            return;
+          }
+          fullResponse.push(solvedArray);
+          if (onSprint) {
+            onSprint(sprintArray[position], solvedArray, position);
+          }
+        });
+      }, Promise.resolve())
+      .then(() => {
+        if (!failures.length) {
+          return fullResponse;
+        }
+        // cancelled on purpose, nothing to report sprint by sprint
+        let aborted = failures.filter(failure => isAborted(failure.error))[0];
+        throw aborted ? aborted.error : sprintsFailed(failures,
+                                                      sprintArray.length);
+      });
+    }
+
+    /**
+     * solved bugs on every sprint, as the accounting rules count them
+     * @param sprintArray [{ name, start, end }], see SprintCalendar.build
+     * @param onSprint    [optional] Function(sprint, solvedArray, position)
+     *                    called in sprint order as they arrive, so they can
+     *                    be drawn while the rest are still loading
+     * @param onProgress  [optional] Function(loaded, total) called every
+     *                    time a sprint arrives, whatever its order
+     * @returns Promise with [[bug]], the solved ones on every sprint
+     */
+    function getSprintVelocity(sprintArray, onSprint, onProgress) {
+      return perSprint(sprintArray, getCounted, onSprint, onProgress);
+    }
+
+    /**
+     * bugs closed without a fix on every sprint, same as getSprintVelocity
+     * @returns Promise with [[bug]]
+     */
+    function getSprintTriage(sprintArray, onSprint, onProgress) {
+      return perSprint(sprintArray, getClosedNotFixed, onSprint, onProgress);
+    }
+
+    /**
+     * same tracker, with every request of the new instance cancelled
+     * when `signal` aborts
+     * @param signal AbortSignal, from an AbortController
+     */
+    function withSignal(signal) {
+      return create(Object.assign({}, config, { signal: signal }));
+    }
+
+    return {
+      config: config,
+      getRelease: getReleaseData,
+      getRange: getAllFromDates,
+      getTree: getTree,
+      getAll: getAll,
+      getOne: getBugs,
+      bugUrl: bugUrl,
+      getHistory: getHistory,
+      isMeta: isMeta,
+      isClosed: isClosed,
+      getVelocity: getSprintVelocity,
+      getTriage: getSprintTriage,
+      withSignal: withSignal
+    };
+  }
+
+  return {
+    register: register,
+    create: create,
+    fetchJSON: fetchJSON,
+    toList: toList,
+    isMeta: isMeta,
+    isClosed: isClosed,
+    isFixed: isFixed,
+    isAborted: isAborted
+  };
+
+});
@@ -0,0 +1,219 @@
+"use strict";
+
+/**
+ *  Persistent cache for tracker queries, on localStorage.
+ *
+ *  Entries are keyed by the normalized query (backend, instance, filters,
+ *  what was asked and the dates), so the same question asked twice, even
+ *  with the params in another order, hits the same entry. Whoever stores
+ *  something tells how long it stays fresh: a sprint that is over won't
+ *  change anymore, so it never expires.
+ *
+ *  When localStorage is full the oldest entries (the expired ones first)
+ *  make room for the new one, and what doesn't fit even then is kept in
+ *  memory. Falls back to memory too when localStorage is not there.
+ *
+ *  How to use:
+ *  let key = QueryCache.key({ url: "...", products: [...] }, "solved", [start, end]);
+ *  let bugs = QueryCache.get(key);   // undefined if missing or stale
+ *  QueryCache.set(key, bugs, QueryCache.FOREVER);
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(namespace);
+  } else {
+    namespace.QueryCache = factory(namespace);
+  }
+})(this, function(namespace) {
+  const PREFIX = "loop-velocity:";
+  const FOREVER = Infinity;
+  // config keys that don't change the answer, or must not be stored
+  const IGNORED = ["apiKey", "token", "email", "calendar", "releases", "cache",
+                   "range", "metas", "stats", "view", "metric", "compare",
+                   "signal", "classify", "category"];
+
+  var memory = {};
+  var storage = (function() {
+    try {
+      return namespace.localStorage || null;
+    } catch (e) {
+      // some browsers throw just for asking when cookies are disabled
+      return null;
+    }
+  })();
+
+  // saying the storage is full once is enough
+  var warnedFull = false;
+
+  // what was used on this page: the oldest entry tells how stale we are
+  var stats = {
+    hits: 0,
+    misses: 0,
+    oldest: null
+  };
+
+  // same value, with object keys sorted and lists normalized
+  function normalize(value) {
+    if (Array.isArray(value)) {
+      return value.map(normalize);
+    }
+    if (value && typeof value === "object") {
+      let sorted = {};
+      Object.keys(value).sort().forEach(key => {
+        if (IGNORED.indexOf(key) === -1 && value[key] !== undefined &&
+            value[key] !== null) {
+          sorted[key] = normalize(value[key]);
+        }
+      });
+      return sorted;
+    }
+    return value;
+  }
+
+  /**
+   * @param config  the tracker config the query runs against
+   * @param query   String, what is asked ("solved", "committed"...)
+   * @param args    [optional] array with the rest of the query
+   */
+  function key(config, query, args) {
+    return PREFIX + JSON.stringify([normalize(config), query,
+                                   normalize(args || [])]);
+  }
+
+  function read(entryKey) {
+    if (memory[entryKey]) {
+      return memory[entryKey];
+    }
+    if (!storage) {
+      return null;
+    }
+    try {
+      return JSON.parse(storage.getItem(entryKey));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function storedKeys() {
+    let keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      keys.push(storage.key(i));
+    }
+    return keys.filter(entryKey => {
+      return entryKey && entryKey.indexOf(PREFIX) === 0;
+    });
+  }
+
+  // our entries in storage, the expired ones first, then the oldest
+  function oldestFirst() {
+    let now = Date.now();
+    return storedKeys().map(entryKey => {
+      let entry = null;
+      try {
+        entry = JSON.parse(storage.getItem(entryKey));
+      } catch (e) {
+        // broken ones go first
+      }
+      return {
+        key: entryKey,
+        time: entry ? entry.time : 0,
+        expired: !entry || (entry.expires !== null && now > entry.expires)
+      };
+    }).sort((a, b) => (b.expired - a.expired) || (a.time - b.time))
+      .map(stored => stored.key);
+  }
+
+  // takes entries out, oldest first, until this one fits
+  function store(entryKey, value) {
+    let evictable = null;
+    while (true) {
+      try {
+        storage.setItem(entryKey, value);
+        return true;
+      } catch (e) {
+        evictable = evictable || oldestFirst().filter(other => {
+          return other !== entryKey;
+        });
+        if (!evictable.length) {
+          return false;
+        }
+        storage.removeItem(evictable.shift());
+      }
+    }
+  }
+
+  function write(entryKey, entry) {
+    if (storage && store(entryKey, JSON.stringify(entry))) {
+      return;
+    }
+    if (storage && !warnedFull) {
+      warnedFull = true;
+      console.warn('query cache is full, keeping what does not fit in ' +
+                   'memory');
+    }
+    memory[entryKey] = entry;
+  }
+
+  /**
+   * @returns the stored data, or undefined if missing or expired
+   */
+  function get(entryKey) {
+    let entry = read(entryKey);
+    if (!entry || (entry.expires !== null && Date.now() > entry.expires)) {
+      stats.misses++;
+      return undefined;
+    }
+    stats.hits++;
+    stats.oldest = Math.min(stats.oldest || entry.time, entry.time);
+    return entry.data;
+  }
+
+  /**
+   * @param maxAge  milliseconds it stays fresh, FOREVER if it can't change
+   */
+  function set(entryKey, data, maxAge) {
+    let now = Date.now();
+    write(entryKey, {
+      time: now,
+      expires: maxAge === FOREVER ? null : now + maxAge,
+      data: data
+    });
+    return data;
+  }
+
+  // forgets every entry, for the "force refresh"
+  function clear() {
+    memory = {};
+    warnedFull = false;
+    if (!storage) {
+      return;
+    }
+    storedKeys().forEach(entryKey => storage.removeItem(entryKey));
+  }
+
+  /**
+   * where entries are kept, localStorage in the browser and only memory
+   * in Node unless given something with the same methods
+   * @param other Storage-like object, or null for memory only
+   */
+  function useStorage(other) {
+    storage = other || null;
+    memory = {};
+    warnedFull = false;
+  }
+
+  function getStats() {
+    return Object.assign({}, stats);
+  }
+
+  return {
+    FOREVER: FOREVER,
+    key: key,
+    get: get,
+    set: set,
+    clear: clear,
+    useStorage: useStorage,
+    stats: getStats
+  };
+
+});
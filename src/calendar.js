@@ -0,0 +1,230 @@
+"use strict";
+
+/**
+ *  Sprint calendar: which sprints there were, and when.
+ *
+ *  options (all optional):
+ *    start     first day of the generated sprints, moved to its monday
+ *    length    days per generated sprint
+ *    sprints   explicit sprints, [{ name, start, end }], for the past
+ *              when the length was different or sprints had names.
+ *              Generation carries on after the last of them.
+ *    exclude   ranges that don't count, [{ name, start, end }]
+ *              (holidays, work weeks...). A generated sprint that would
+ *              start inside one starts on its `end` instead, and one
+ *              that runs into it is paused, so it gets longer.
+ *  Dates can be "YYYY-MM-DD" or "DD/MM/YYYY". A sprint's `end` is the
+ *  first day it no longer covers, so consecutive sprints share it.
+ *
+ *  How to use:
+ *  let sprints = SprintCalendar.build({ start: "2016-01-04", length: 7 });
+ *  SprintCalendar.validate(sprints).forEach(problem => console.warn(problem));
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../libs/moment.js"));
+  } else {
+    namespace.SprintCalendar = factory(namespace.moment);
+  }
+})(this, function(moment) {
+  // sprint size is 2 weeks, and we start counting on FF34
+  const DEFAULTS = {
+    start: "01/07/2015",
+    length: 14,
+    sprints: [],
+    exclude: []
+  };
+  const DATE_FORMAT = "YYYY-MM-DD";
+  const INPUT_FORMATS = [DATE_FORMAT, "DD/MM/YYYY"];
+
+  function parse(date) {
+    let parsed = moment(date, INPUT_FORMATS, true);
+    if (!parsed.isValid()) {
+      throw new Error('wrong date in sprint calendar: ' + date);
+    }
+    return parsed;
+  }
+
+  // same range with parsed dates, so comparing is easy
+  function toRange(range) {
+    return {
+      name: range.name || null,
+      start: parse(range.start),
+      end: parse(range.end)
+    };
+  }
+
+  function format(range) {
+    return {
+      name: range.name,
+      start: range.start.format(DATE_FORMAT),
+      end: range.end.format(DATE_FORMAT)
+    };
+  }
+
+  function overlaps(a, b) {
+    return a.start.isBefore(b.end) && b.start.isBefore(a.end);
+  }
+
+  // label to show for a sprint in charts and lists
+  function label(sprint) {
+    return sprint.name || sprint.end;
+  }
+
+  /**
+   * generated sprints of `length` days from `date` on, skipping the
+   * exclusions, for as long as `keepGoing(date, sprints)` says so
+   */
+  function generate(date, length, exclusions, keepGoing) {
+    let sprints = [];
+    while (keepGoing(date, sprints)) {
+      let sprint = {
+        name: null,
+        start: date.clone(),
+        end: date.clone().add(length, 'days')
+      };
+      let blocker = exclusions.filter(range => {
+        return overlaps(range, sprint) && !range.start.isAfter(sprint.start);
+      })[0];
+      if (blocker) {
+        date = blocker.end.clone();
+        continue;
+      }
+      exclusions.forEach(range => {
+        if (overlaps(range, sprint)) {
+          sprint.end.add(range.end.diff(range.start, 'days'), 'days');
+        }
+      });
+      sprints.push(sprint);
+      date = sprint.end.clone();
+    }
+    return sprints;
+  }
+
+  // options with the defaults, checked and with parsed exclusions
+  function prepare(options) {
+    options = Object.assign({}, DEFAULTS, options);
+    let length = parseInt(options.length, 10);
+    if (!(length > 0)) {
+      throw new Error('wrong sprint length: ' + options.length);
+    }
+    return {
+      options: options,
+      length: length,
+      exclusions: options.exclude.map(toRange)
+                                 .sort((a, b) => a.start - b.start)
+    };
+  }
+
+  /**
+   * builds the list of sprints, sorted, up to the one `today` is in
+   * @param options see above
+   * @param today   [optional] moment, to limit the generated sprints
+   */
+  function build(options, today) {
+    let calendar = prepare(options);
+    today = moment(today || undefined);
+    let sprints = calendar.options.sprints.map(toRange)
+                                          .sort((a, b) => a.start - b.start);
+
+    // generated ones start after the explicit ones, on a monday
+    let date = parse(calendar.options.start).weekday(1);
+    if (sprints.length && date.isBefore(sprints[sprints.length - 1].end)) {
+      date = sprints[sprints.length - 1].end.clone();
+    }
+    return sprints.concat(generate(date, calendar.length, calendar.exclusions,
+                                   date => date.isBefore(today)))
+                  .map(format);
+  }
+
+  /**
+   * the sprints still to come after the given ones, as forecasts need
+   * @param options see above
+   * @param sprints what build() gave
+   * @param count   how many of them
+   */
+  function next(options, sprints, count) {
+    let calendar = prepare(options);
+    let last = sprints[sprints.length - 1];
+    let date = last ? parse(last.end) : parse(calendar.options.start).weekday(1);
+    return generate(date, calendar.length, calendar.exclusions,
+                    (date, generated) => generated.length < count)
+      .map(format);
+  }
+
+  /**
+   * looks for sprints that overlap, and for holes between sprints that
+   * no exclusion explains.
+   * @returns [{ type: "overlap"|"gap", message, sprints }]
+   */
+  function validate(sprints, exclude) {
+    let problems = [];
+    let ranges = sprints.map(toRange);
+    let exclusions = (exclude || []).map(toRange);
+    ranges.forEach((sprint, position) => {
+      let next = ranges[position + 1];
+      if (!next) {
+        return;
+      }
+      let pair = [sprints[position], sprints[position + 1]];
+      if (next.start.isBefore(sprint.end)) {
+        problems.push({
+          type: "overlap",
+          message: label(pair[0]) + ' overlaps with ' + label(pair[1]),
+          sprints: pair
+        });
+      } else if (next.start.isAfter(sprint.end)) {
+        let hole = { start: sprint.end, end: next.start };
+        let covered = exclusions.some(range => {
+          return !range.start.isAfter(hole.start) &&
+                 !range.end.isBefore(hole.end);
+        });
+        if (!covered) {
+          problems.push({
+            type: "gap",
+            message: 'nothing between ' + label(pair[0]) + ' and ' +
+                     label(pair[1]) + ' (' + format(hole).start + ' - ' +
+                     format(hole).end + ')',
+            sprints: pair
+          });
+        }
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * sprints that fall inside a date range, as the release view needs
+   * @param start, end  dates of the range, in any of the input formats
+   */
+  function between(sprints, start, end) {
+    let range = { start: parse(start), end: parse(end) };
+    return sprints.filter(sprint => {
+      return !parse(sprint.start).isBefore(range.start) &&
+             !parse(sprint.end).isAfter(range.end);
+    });
+  }
+
+  /**
+   * sprints with at least a day inside a date range, for the dashboard's
+   * date filter
+   * @param start, end  [optional] dates of the range, open if missing
+   */
+  function overlapping(sprints, start, end) {
+    return sprints.filter(sprint => {
+      return (!start || parse(sprint.end).isAfter(parse(start))) &&
+             (!end || !parse(sprint.start).isAfter(parse(end)));
+    });
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    build: build,
+    next: next,
+    validate: validate,
+    between: between,
+    overlapping: overlapping,
+    label: label
+  };
+
+});
@@ -0,0 +1,153 @@
+"use strict";
+
+/**
+ *  Tells what kind of bug every bug is: a meta or a tracker, only there to
+ *  group other bugs, a regression, or a plain task.
+ *
+ *  options (the `classify` key of the config):
+ *    rules     [{ category, summary, keywords, whiteboard, dependencies }]
+ *              tried in order, the first one whose conditions all hold
+ *              gives the category:
+ *                summary       regexp looked for in the summary
+ *                keywords      keyword, or list of them, any will do
+ *                whiteboard    regexp looked for in the whiteboard
+ *                dependencies  least number of bugs it depends on
+ *              Given rules replace the default ones. Case doesn't matter
+ *              anywhere, so the default rules take "[Meta]" and a
+ *              "Regression" label too, which the old summary check,
+ *              only looking for "[meta]", didn't.
+ *    fallback  category of the bugs no rule matches, "task"
+ *
+ *  How to use:
+ *  Classifier.configure({ rules: [{ category: "tracker", dependencies: 5 }] });
+ *  Classifier.classify(bug);   // "tracker"
+ *  Classifier.isMeta(bug);     // true, trackers group other bugs too
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    namespace.Classifier = factory();
+  }
+})(this, function() {
+  const CATEGORIES = ["meta", "tracker", "regression", "task"];
+  // the ones that only group other bugs, not work themselves
+  const GROUPING = ["meta", "tracker"];
+  const DEFAULTS = {
+    rules: [
+      { category: "meta", summary: "[\\[(]meta[\\])]" },
+      { category: "meta", keywords: "meta" },
+      { category: "tracker", whiteboard: "\\[(meta|tracker)\\]" },
+      { category: "regression", keywords: "regression" }
+    ],
+    fallback: "task"
+  };
+
+  // what configure() was given, for the ones asking without options
+  var current = DEFAULTS;
+
+  // options with the defaults, the configured ones if there are none
+  function prepare(options) {
+    if (!options) {
+      return current;
+    }
+    let prepared = Object.assign({}, DEFAULTS, options);
+    // a typo would tag bugs as nothing, better to say so
+    prepared.rules.map(rule => rule.category).concat(prepared.fallback)
+      .forEach(category => {
+        if (CATEGORIES.indexOf(category) === -1) {
+          throw new Error('unknown bug category: ' + category);
+        }
+      });
+    return prepared;
+  }
+
+  /**
+   * rules used when classify() and friends get no options
+   * @param options the `classify` key of the config, nothing for the
+   *                default rules
+   */
+  function configure(options) {
+    current = options ? prepare(options) : DEFAULTS;
+    return current;
+  }
+
+  // bug fields the tracker has to give for the rules to work
+  function fields(options) {
+    options = prepare(options);
+    let needed = [];
+    options.rules.forEach(rule => {
+      if (rule.keywords && needed.indexOf("keywords") === -1) {
+        needed.push("keywords");
+      }
+      if (rule.whiteboard && needed.indexOf("whiteboard") === -1) {
+        needed.push("whiteboard");
+      }
+    });
+    return needed;
+  }
+
+  function matches(rule, bug) {
+    if (rule.summary &&
+        !new RegExp(rule.summary, 'i').test(bug.summary || "")) {
+      return false;
+    }
+    if (rule.keywords) {
+      let keywords = [].concat(bug.keywords || []).map(keyword => {
+        return String(keyword).toLowerCase();
+      });
+      let wanted = [].concat(rule.keywords).some(keyword => {
+        return keywords.indexOf(keyword.toLowerCase()) !== -1;
+      });
+      if (!wanted) {
+        return false;
+      }
+    }
+    if (rule.whiteboard &&
+        !new RegExp(rule.whiteboard, 'i').test(bug.whiteboard || "")) {
+      return false;
+    }
+    if (rule.dependencies &&
+        (bug.depends_on || []).length < rule.dependencies) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * @param options [optional] the `classify` key of the config, the
+   *                configured one by default
+   * @returns one of CATEGORIES
+   */
+  function classify(bug, options) {
+    options = prepare(options);
+    let rule = options.rules.filter(rule => matches(rule, bug || {}))[0];
+    return rule ? rule.category : options.fallback;
+  }
+
+  // checks if a bug is there only to group others, a meta or a tracker
+  function isMeta(bug, options) {
+    return GROUPING.indexOf(classify(bug, options)) !== -1;
+  }
+
+  /**
+   * @returns { category: [bug] }, with every category even if empty
+   */
+  function group(bugs, options) {
+    let groups = {};
+    CATEGORIES.forEach(category => groups[category] = []);
+    bugs.forEach(bug => groups[classify(bug, options)].push(bug));
+    return groups;
+  }
+
+  return {
+    CATEGORIES: CATEGORIES,
+    DEFAULTS: DEFAULTS,
+    configure: configure,
+    fields: fields,
+    classify: classify,
+    isMeta: isMeta,
+    group: group
+  };
+
+});
@@ -0,0 +1,186 @@
+"use strict";
+
+/**
+ *  Two velocities side by side: this quarter against the last one, before
+ *  and after a process change, or two products over the same sprints.
+ *
+ *  The other side is the dashboard config with the `compare` key on top:
+ *    "compare": { "range": { "from": "2015-10-01", "to": "2015-12-31" },
+ *                 "products": ["Core"], "components": ["General"] }
+ *  Whether the difference in mean velocity is more than chance is told by
+ *  Welch's t-test, which doesn't need both sides to vary the same.
+ *
+ *  How to use:
+ *  let other = Compare.sides(config)[1];
+ *  let result = Compare.compare(solvedBefore, solvedAfter, { window: 6 });
+ *  result.significant; // p below `alpha`
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./stats.js"));
+  } else {
+    namespace.Compare = factory(namespace.Stats);
+  }
+})(this, function(Stats) {
+  const DEFAULTS = {
+    // chance of calling a difference significant when there is none
+    alpha: 0.05
+  };
+  // what the other side can change from the dashboard config
+  const KEYS = ["range", "products", "components"];
+
+  function isSet(config) {
+    let compare = (config && config.compare) || {};
+    return KEYS.some(key => !!compare[key]);
+  }
+
+  /**
+   * @param config dashboard config, as Config.load gives it
+   * @returns [config, config] both sides, without the `compare` key
+   */
+  function sides(config) {
+    let overrides = config.compare || {};
+    let base = Object.assign({}, config);
+    delete base.compare;
+    let other = Object.assign({}, base);
+    KEYS.forEach(key => {
+      if (!overrides[key]) {
+        return;
+      }
+      other[key] = key === "range" ?
+                   Object.assign({}, base.range, overrides.range) :
+                   overrides[key];
+    });
+    return [base, other];
+  }
+
+  // what a side is about, to tell them apart
+  function describe(config) {
+    let products = [].concat(config.products || [], config.components || []);
+    let range = config.range || {};
+    let dates = range.from || range.to ?
+                (range.from || '...') + ' - ' + (range.to || 'now') :
+                'all sprints';
+    return (products.length ? products.join(', ') + ', ' : '') + dates;
+  }
+
+  // Lanczos approximation, enough for the degrees of freedom we get
+  function logGamma(x) {
+    const COEFFICIENTS = [76.18009172947146, -86.50532032941677,
+                          24.01409824083091, -1.231739572450155,
+                          0.1208650973866179e-2, -0.5395239384953e-5];
+    let sum = 1.000000000190015;
+    COEFFICIENTS.forEach((coefficient, position) => {
+      sum += coefficient / (x + position + 1);
+    });
+    let tmp = x + 5.5;
+    return (x + 0.5) * Math.log(tmp) - tmp +
+           Math.log(2.5066282746310005 * sum / x);
+  }
+
+  // continued fraction of the incomplete beta, see Numerical Recipes
+  function betaFraction(x, a, b) {
+    const TINY = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < TINY ? TINY : d);
+    let result = d;
+    for (let m = 1; m <= 200; m++) {
+      let m2 = 2 * m;
+      [m * (b - m) * x / ((a + m2 - 1) * (a + m2)),
+       -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1))]
+      .forEach(step => {
+        d = 1 + step * d;
+        d = 1 / (Math.abs(d) < TINY ? TINY : d);
+        c = 1 + step / c;
+        c = Math.abs(c) < TINY ? TINY : c;
+        result *= d * c;
+      });
+      if (Math.abs(d * c - 1) < 1e-12) {
+        break;
+      }
+    }
+    return result;
+  }
+
+  // regularized incomplete beta function I_x(a, b)
+  function incompleteBeta(x, a, b) {
+    if (x <= 0 || x >= 1) {
+      return x <= 0 ? 0 : 1;
+    }
+    let front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) +
+                         a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2) ?
+           front * betaFraction(x, a, b) / a :
+           1 - front * betaFraction(1 - x, b, a) / b;
+  }
+
+  // sample variance, as the t-test wants it
+  function variance(values) {
+    let mean = Stats.average(values);
+    return values.reduce((sum, value) => {
+      return sum + (value - mean) * (value - mean);
+    }, 0) / (values.length - 1);
+  }
+
+  /**
+   * Welch's t-test of the difference between two means
+   * @returns { t, df, p } `p` being the two-sided chance of a difference
+   *          this big if the means were the same, or null with less than
+   *          two values on a side
+   */
+  function welch(a, b) {
+    if (a.length < 2 || b.length < 2) {
+      return null;
+    }
+    let errorA = variance(a) / a.length;
+    let errorB = variance(b) / b.length;
+    let difference = Stats.average(b) - Stats.average(a);
+    // no variation at all, the means tell everything
+    if (!errorA && !errorB) {
+      return { t: difference ? Infinity * Math.sign(difference) : 0,
+               df: a.length + b.length - 2, p: difference ? 0 : 1 };
+    }
+    let t = difference / Math.sqrt(errorA + errorB);
+    let df = Math.pow(errorA + errorB, 2) /
+             (errorA * errorA / (a.length - 1) +
+              errorB * errorB / (b.length - 1));
+    return { t: t, df: df, p: incompleteBeta(df / (df + t * t), df / 2, 0.5) };
+  }
+
+  /**
+   * @param a, b    [value] one per sprint, oldest first, on every side
+   * @param options [optional] DEFAULTS plus Stats.summary options, so both
+   *                sides are looked at the way the headline is
+   * @returns { a, b, meanDiff, stdDevDiff, test, significant } `a` and `b`
+   *          as Stats.summary gives them, the differences going from `a` to
+   *          `b`, and `test` as welch() gives it for the sprints used
+   */
+  function compare(a, b, options) {
+    options = Object.assign({}, DEFAULTS, options);
+    let summaries = [a, b].map(data => Stats.summary(data, options));
+    let used = [a, b].map((data, side) => {
+      return summaries[side].used.map(position => data[position]);
+    });
+    let test = welch(used[0], used[1]);
+    return {
+      a: summaries[0],
+      b: summaries[1],
+      meanDiff: summaries[1].mean - summaries[0].mean,
+      stdDevDiff: summaries[1].stdDev - summaries[0].stdDev,
+      test: test,
+      significant: !!test && test.p < options.alpha
+    };
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    KEYS: KEYS,
+    isSet: isSet,
+    sides: sides,
+    describe: describe,
+    welch: welch,
+    compare: compare
+  };
+
+});
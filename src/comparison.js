@@ -0,0 +1,184 @@
+"use strict";
+
+/**
+ *  Compare tab: the velocity of the dashboard next to the one of another
+ *  period or product (see Compare), as grouped bars sprint by sprint, plus
+ *  the difference in mean and deviation and whether it is significant.
+ *
+ *  Sprints are paired by position, the first of a side with the first of
+ *  the other, so two quarters line up even if their dates don't.
+ *
+ *  How to use:
+ *  ComparisonView.fill(config);
+ *  ComparisonView.show({
+ *    sides: [{ label, sprints, bugArrays }, { label, sprints, bugArrays }],
+ *    measure: bugs => bugs.length, options: statsOptions
+ *  });
+ */
+var ComparisonView = (function(namespace) {
+  const COLORS = ["rgba(50,150,200,0.7)", "rgba(210,110,180,0.7)"];
+  // form field -> url param
+  const FIELDS = {
+    from: "vs_from",
+    to: "vs_to",
+    product: "vs_product",
+    component: "vs_component"
+  };
+
+  var UI = {
+    form: document.getElementById('compare-form'),
+    status: document.getElementById('compare-status'),
+    legend: document.getElementById('compare-legend'),
+    graph: document.getElementById('compare-graph'),
+    head: document.querySelector('#compare-table thead tr'),
+    table: document.querySelector('#compare-table tbody'),
+    verdict: document.getElementById('compare-verdict')
+  };
+
+  var chart = null;
+
+  var element = View.element;
+
+  function format(value) {
+    return isFinite(value) ? parseFloat(value).toFixed(1) : '-';
+  }
+
+  function signed(value) {
+    return (value > 0 ? '+' : '') + format(value);
+  }
+
+  /**
+   * the form as the `compare` key of the config says it is
+   * @param config as Config.load gives it
+   */
+  function fill(config) {
+    let compare = config.compare || {};
+    let range = compare.range || {};
+    UI.form.elements.from.value = range.from || '';
+    UI.form.elements.to.value = range.to || '';
+    UI.form.elements.product.value = Bugziller.toList(compare.products)
+                                              .join(', ');
+    UI.form.elements.component.value = Bugziller.toList(compare.components)
+                                                .join(', ');
+  }
+
+  function status(text) {
+    UI.status.textContent = text;
+  }
+
+  // same label on both sides when they are the same sprint
+  function labels(sides) {
+    let count = Math.max(sides[0].sprints.length, sides[1].sprints.length);
+    let result = [];
+    for (let position = 0; position < count; position++) {
+      let names = sides.map(side => {
+        let sprint = side.sprints[position];
+        return sprint ? SprintCalendar.label(sprint) : '-';
+      });
+      result.push(names[0] === names[1] ? names[0] : names.join(' / '));
+    }
+    return result;
+  }
+
+  function drawChart(sides, values) {
+    if (chart) {
+      chart.destroy();
+    }
+    let count = Math.max(values[0].length, values[1].length);
+    chart = new Chart(UI.graph.getContext("2d")).Bar({
+      labels: labels(sides),
+      datasets: sides.map((side, position) => ({
+        label: side.label,
+        fillColor: COLORS[position],
+        data: values[position].concat(new Array(count -
+                                                values[position].length)
+                                      .fill(0))
+      }))
+    }, {
+      maintainAspectRatio: true,
+      responsive: true,
+      barValueSpacing: 2,
+      animationSteps: 15
+    });
+    // the labels come from the url, so as text and not through innerHTML
+    View.legend(UI.legend, sides.map((side, position) => {
+      return { label: side.label, color: COLORS[position] };
+    }));
+  }
+
+  function drawTable(sides, result) {
+    UI.head.innerHTML = '';
+    ['', sides[0].label, sides[1].label, 'difference'].forEach(title => {
+      UI.head.appendChild(element('th', null, title));
+    });
+    UI.table.innerHTML = '';
+    [
+      ['sprints', result.a.used.length, result.b.used.length,
+       result.b.used.length - result.a.used.length],
+      ['mean', format(result.a.mean), format(result.b.mean),
+       signed(result.meanDiff)],
+      ['deviation', format(result.a.stdDev), format(result.b.stdDev),
+       signed(result.stdDevDiff)],
+      ['median', format(result.a.median), format(result.b.median),
+       signed(result.b.median - result.a.median)]
+    ].forEach(cells => {
+      let row = element('tr');
+      cells.forEach((text, position) => {
+        row.appendChild(element(position ? 'td' : 'th', null, String(text)));
+      });
+      UI.table.appendChild(row);
+    });
+  }
+
+  function verdict(sides, result) {
+    if (!result.test) {
+      return 'Too few sprints on a side to tell whether the difference ' +
+             'is more than chance.';
+    }
+    let confidence = Math.round((1 - Compare.DEFAULTS.alpha) * 100);
+    let change = !result.meanDiff ? 'as much' :
+                 format(Math.abs(result.meanDiff)) +
+                 (result.meanDiff > 0 ? ' more' : ' less');
+    let p = result.test.p < 0.001 ? '< 0.001' :
+            '= ' + result.test.p.toFixed(3);
+    return sides[1].label + ' solves ' + change + ' per sprint than ' +
+           sides[0].label + ' (Welch\'s t = ' + format(result.test.t) +
+           ', p ' + p + '): ' +
+           (result.significant ? 'significant' : 'not significant') +
+           ' at ' + confidence + '%.';
+  }
+
+  /**
+   * @param data { sides, measure, options }: the sprints and their solved
+   *             bugs on both sides, what they weigh, and the Stats.summary
+   *             options the headline uses
+   */
+  function show(data) {
+    let values = data.sides.map(side => side.bugArrays.map(data.measure));
+    let result = Compare.compare(values[0], values[1], data.options);
+    status('');
+    drawChart(data.sides, values);
+    drawTable(data.sides, result);
+    UI.verdict.textContent = verdict(data.sides, result);
+    UI.verdict.classList.toggle('significant', result.significant);
+  }
+
+  UI.form.addEventListener('submit', event => {
+    event.preventDefault();
+    let changes = { view: 'compare' };
+    Object.keys(FIELDS).forEach(name => {
+      let value = UI.form.elements[name].value;
+      changes[FIELDS[name]] = name === 'product' || name === 'component' ?
+                              value.split(',').map(item => item.trim()) :
+                              value;
+    });
+    Controls.update(changes);
+  });
+
+  return {
+    fill: fill,
+    status: status,
+    show: show
+  };
+
+})(window);
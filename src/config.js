@@ -0,0 +1,132 @@
+"use strict";
+
+/**
+ *  Reads the dashboard configuration, so one deployment can track
+ *  several teams just by changing the url.
+ *
+ *  Sources, later ones winning:
+ *    1. backend defaults (Loop on bugzilla.mozilla.org)
+ *    2. a JSON file, given with ?config=data/teams/loop.json
+ *    3. url params:
+ *       ?backend=bugzilla|github|jira
+ *       &url=https://bugzilla.example.com (or &bugzilla=)
+ *       &product=Firefox&product=Core   (repeat for several)
+ *       &component=General              (repeat for several)
+ *       &field=assigned_to              (repeat for several)
+ *       &api_key=xxxx
+ *       &repo=owner/name                (github, repeat for several)
+ *       &label=bug                      (github, repeat for several)
+ *       &project=LOOP                   (jira, repeat for several)
+ *       &email=me@example.com&token=xxxx
+ *       &sprint_start=2016-01-04&sprint_length=7
+ *       &releases=data/releases.json    (release list for that view)
+ *       &metric=count|points            (what the velocity is measured in)
+ *       &from=2016-01-04&to=2016-06-30  (sprints shown)
+ *       &metas=hide                     (leave [meta] bugs out of the velocity)
+ *       &category=regression|split      (bugs the velocity counts, or a
+ *                                       series per category, see Classifier)
+ *       &window=6&outliers=exclude      (headline statistics, see Stats)
+ *       &view=sprints|releases|...      (tab shown)
+ *       &vs_from=&vs_to=&vs_product=&vs_component=
+ *                                       (the other side, see Compare)
+ *  Story points are set up in the `weights` key of the file, see Weights,
+ *  and how bugs are classified in the `classify` one, see Classifier.
+ *  The sprint calendar (see SprintCalendar) goes in the `calendar` key of
+ *  the file, url params only change its start and length.
+ *
+ *  How to use:
+ *  Config.load().then(config => Bugziller.create(config));
+ */
+var Config = (function(namespace) {
+  // url param -> config key, and whether it can be repeated
+  const PARAMS = {
+    backend: { key: "backend", multiple: false },
+    url: { key: "url", multiple: false },
+    bugzilla: { key: "url", multiple: false },
+    product: { key: "products", multiple: true },
+    component: { key: "components", multiple: true },
+    field: { key: "fields", multiple: true },
+    api_key: { key: "apiKey", multiple: false },
+    repo: { key: "repos", multiple: true },
+    label: { key: "labels", multiple: true },
+    project: { key: "projects", multiple: true },
+    email: { key: "email", multiple: false },
+    token: { key: "token", multiple: false },
+    sprint_start: { key: "calendar.start", multiple: false },
+    sprint_length: { key: "calendar.length", multiple: false },
+    releases: { key: "releases", multiple: false },
+    metric: { key: "metric", multiple: false },
+    from: { key: "range.from", multiple: false },
+    to: { key: "range.to", multiple: false },
+    metas: { key: "metas", multiple: false },
+    category: { key: "category", multiple: false },
+    window: { key: "stats.window", multiple: false },
+    outliers: { key: "stats.outliers", multiple: false },
+    view: { key: "view", multiple: false },
+    vs_from: { key: "compare.range.from", multiple: false },
+    vs_to: { key: "compare.range.to", multiple: false },
+    vs_product: { key: "compare.products", multiple: true },
+    vs_component: { key: "compare.components", multiple: true }
+  };
+
+  // only the keys present in the url, so they don't shadow the file ones
+  function fromParams(params) {
+    let config = {};
+    Object.keys(PARAMS).forEach(name => {
+      let values = params.getAll(name).filter(value => !!value);
+      if (!values.length) {
+        return;
+      }
+      let param = PARAMS[name];
+      let path = param.key.split('.');
+      let last = path.pop();
+      let target = path.reduce((parent, key) => {
+        return (parent[key] = parent[key] || {});
+      }, config);
+      target[last] = param.multiple ? values : values[0];
+    });
+    return config;
+  }
+
+  // like Object.assign, but nested objects get merged instead of replaced
+  function merge(base, extra) {
+    let merged = Object.assign({}, base);
+    Object.keys(extra).forEach(key => {
+      let value = extra[key];
+      let isObject = value && typeof value === "object" && !Array.isArray(value);
+      merged[key] = isObject ? merge(merged[key] || {}, value) : value;
+    });
+    return merged;
+  }
+
+  function fromFile(path) {
+    if (!path) {
+      return Promise.resolve({});
+    }
+    return fetch(path).then(response => {
+      if (!response.ok) {
+        throw new Error('cannot read config file ' + path +
+                        ' (' + response.status + ')');
+      }
+      return response.json();
+    });
+  }
+
+  /**
+   * @param search  [optional] query string to read, defaults to the
+   *                current location's one
+   * @returns Promise with the merged config object
+   */
+  function load(search) {
+    let params = new URLSearchParams(search !== undefined ?
+                                     search : namespace.location.search);
+    return fromFile(params.get('config')).then(fileConfig => {
+      return merge(fileConfig, fromParams(params));
+    });
+  }
+
+  return {
+    load: load
+  };
+
+})(window);
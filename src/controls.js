@@ -0,0 +1,256 @@
+"use strict";
+
+/**
+ *  Controls bar: what the dashboard shows (dates, products, components,
+ *  sprint length, metric, metas) lives in the url, so a link gives the
+ *  exact same view, and views can be saved by name in localStorage so
+ *  every sub-team can jump to its own.
+ *
+ *  Changing what is queried reloads the page with the new url, Config
+ *  reads it from there. Changing only how things are drawn (metric, tab...)
+ *  just updates the url with set().
+ *
+ *  Credentials (api_key, email, token) are taken out of the url as soon as
+ *  they are read, and kept for the tab in sessionStorage, so links and
+ *  saved views never carry them. search() puts them back for Config.
+ *
+ *  How to use:
+ *  Config.load(Controls.search());
+ *  Controls.fill(config);
+ *  Controls.set("metric", "points");
+ *  Controls.update({ vs_from: "2015-10-01", vs_product: ["Core"] });
+ */
+var Controls = (function(namespace) {
+  // where saved views go, apart from the query cache so "force refresh"
+  // doesn't take them away
+  const STORAGE_KEY = "loop-velocity.views";
+  // form fields that are a list in the url, comma separated in the form
+  const LISTS = ["product", "component"];
+  // params that are nobody else's business, and where the tab keeps them
+  const CREDENTIALS = ["api_key", "email", "token"];
+  const CREDENTIALS_KEY = "loop-velocity.credentials";
+
+  var UI = {
+    form: document.getElementById('controls'),
+    views: document.getElementById('views'),
+    save: document.getElementById('save-view'),
+    remove: document.getElementById('remove-view')
+  };
+
+  function field(name) {
+    return UI.form.elements[name];
+  }
+
+  /**
+   * the form as the config says it is, url params included
+   * @param config as Config.load gives it
+   */
+  function fill(config) {
+    let range = config.range || {};
+    let calendar = config.calendar || {};
+    field('from').value = range.from || '';
+    field('to').value = range.to || '';
+    field('product').value = Bugziller.toList(config.products).join(', ');
+    field('component').value = Bugziller.toList(config.components).join(', ');
+    field('sprint_length').value = calendar.length || '';
+    field('metas').checked = config.metas === "hide";
+    fillViews();
+  }
+
+  // current url params, with the ones the form has replaced by its values
+  function read() {
+    let params = new URLSearchParams(namespace.location.search);
+    ['from', 'to', 'sprint_length'].forEach(name => {
+      params.delete(name);
+      if (field(name).value) {
+        params.set(name, field(name).value);
+      }
+    });
+    LISTS.forEach(name => {
+      params.delete(name);
+      field(name).value.split(',').map(value => value.trim())
+        .filter(value => !!value)
+        .forEach(value => params.append(name, value));
+    });
+    params.delete('metas');
+    if (field('metas').checked) {
+      params.set('metas', 'hide');
+    }
+    return params;
+  }
+
+  // "?..." without the credentials, "" if nothing is left
+  function withoutCredentials(search) {
+    let params = new URLSearchParams(search);
+    CREDENTIALS.forEach(name => params.delete(name));
+    let left = params.toString();
+    return left ? '?' + left : '';
+  }
+
+  function storedCredentials() {
+    try {
+      return JSON.parse(namespace.sessionStorage.getItem(CREDENTIALS_KEY)) ||
+             {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // moves the credentials of the url to the tab, they stay put if it can't
+  function keepCredentials() {
+    let params = new URLSearchParams(namespace.location.search);
+    let credentials = storedCredentials();
+    let found = CREDENTIALS.filter(name => params.has(name));
+    if (!found.length) {
+      return;
+    }
+    found.forEach(name => credentials[name] = params.get(name));
+    try {
+      namespace.sessionStorage.setItem(CREDENTIALS_KEY,
+                                       JSON.stringify(credentials));
+    } catch (e) {
+      console.warn('cannot keep the credentials out of the url: ' + e);
+      return;
+    }
+    namespace.history.replaceState(null, '',
+      withoutCredentials(namespace.location.search) ||
+      namespace.location.pathname);
+  }
+
+  /**
+   * the url params plus the credentials kept for the tab, what Config
+   * has to read
+   */
+  function search() {
+    let params = new URLSearchParams(namespace.location.search);
+    let credentials = storedCredentials();
+    Object.keys(credentials).forEach(name => {
+      if (!params.has(name)) {
+        params.set(name, credentials[name]);
+      }
+    });
+    return '?' + params.toString();
+  }
+
+  function go(search) {
+    namespace.location.search = search;
+  }
+
+  // current url params with `changes` ({ name: value or [values] }) on top
+  function change(changes) {
+    let params = new URLSearchParams(namespace.location.search);
+    Object.keys(changes).forEach(name => {
+      params.delete(name);
+      [].concat(changes[name]).filter(value => {
+        return value !== null && value !== undefined && value !== '';
+      }).forEach(value => params.append(name, value));
+    });
+    return params;
+  }
+
+  /**
+   * changes a param without reloading, for what is only drawn differently
+   * @param value  null or "" takes the param out
+   */
+  function set(name, value) {
+    let changes = {};
+    changes[name] = value;
+    let search = change(changes).toString();
+    namespace.history.replaceState(null, '', search ? '?' + search :
+                                                      namespace.location.pathname);
+  }
+
+  /**
+   * changes params that need asking the tracker again, reloading the page
+   * @param changes { name: value or [values] }, empty ones taken out
+   */
+  function update(changes) {
+    go(change(changes).toString());
+  }
+
+  // views saved before credentials were kept apart are cleaned too
+  function savedViews() {
+    let views = {};
+    try {
+      views = JSON.parse(namespace.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+    let leaked = Object.keys(views).filter(name => {
+      return views[name] !== withoutCredentials(views[name]);
+    });
+    leaked.forEach(name => views[name] = withoutCredentials(views[name]));
+    if (leaked.length) {
+      storeViews(views);
+    }
+    return views;
+  }
+
+  function storeViews(views) {
+    try {
+      namespace.localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+    } catch (e) {
+      console.warn('cannot save the views: ' + e);
+    }
+  }
+
+  function fillViews() {
+    let views = savedViews();
+    UI.views.innerHTML = '';
+    let none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'saved views...';
+    UI.views.appendChild(none);
+    Object.keys(views).sort().forEach(name => {
+      let option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.selected = views[name] ===
+                        withoutCredentials(namespace.location.search);
+      UI.views.appendChild(option);
+    });
+  }
+
+  UI.form.addEventListener('submit', event => {
+    event.preventDefault();
+    go(read().toString());
+  });
+
+  UI.views.addEventListener('change', () => {
+    let views = savedViews();
+    if (views.hasOwnProperty(UI.views.value)) {
+      go(views[UI.views.value]);
+    }
+  });
+
+  UI.save.addEventListener('click', () => {
+    let name = namespace.prompt('Name for this view', UI.views.value || '');
+    if (!name) {
+      return;
+    }
+    let views = savedViews();
+    views[name] = withoutCredentials(namespace.location.search);
+    storeViews(views);
+    fillViews();
+  });
+
+  UI.remove.addEventListener('click', () => {
+    let views = savedViews();
+    if (!views.hasOwnProperty(UI.views.value)) {
+      return;
+    }
+    delete views[UI.views.value];
+    storeViews(views);
+    fillViews();
+  });
+
+  keepCredentials();
+
+  return {
+    search: search,
+    fill: fill,
+    set: set,
+    update: update
+  };
+
+})(window);
@@ -0,0 +1,201 @@
+"use strict";
+
+/**
+ *  Dependency tree crawler. Goes breadth-first: every level of the tree
+ *  is fetched in batches of ids (so urls don't grow past what servers
+ *  take), a few batches at a time, retrying with backoff when the tracker
+ *  fails. Bugs reached twice are fetched once, and dependencies pointing
+ *  back to an ancestor are reported as cycles instead of followed.
+ *
+ *  The tree it gives back:
+ *    roots     [id] the bugs it started from
+ *    bugs      { id: bug } every bug found
+ *    children  { id: [id] } parent -> dependencies, without the cycles
+ *    cycles    [[parent, child]] dependencies that closed a cycle
+ *    missing   [id] asked for, but the tracker didn't give them
+ *
+ *  How to use:
+ *  Crawler.crawl([1248602], ids => backend.getBug(ids), { concurrency: 2 })
+ *    .then(tree => Crawler.ids(tree));
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    namespace.Crawler = factory();
+  }
+})(this, function() {
+  const DEFAULTS = {
+    // ids per request
+    batchSize: 100,
+    // requests at the same time
+    concurrency: 4,
+    // attempts after the first one fails
+    retries: 3,
+    // milliseconds before the first retry, doubled on every other one
+    backoff: 500
+  };
+
+  // ids can come as numbers or strings, 123 and "123" are the same bug
+  function key(id) {
+    return String(id);
+  }
+
+  function chunk(list, size) {
+    let chunks = [];
+    for (let i = 0; i < list.length; i += size) {
+      chunks.push(list.slice(i, i + size));
+    }
+    return chunks;
+  }
+
+  function wait(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+  }
+
+  // network errors and server trouble may go away, a 404 won't, and
+  // cancelled requests were cancelled on purpose
+  function isTransient(error) {
+    if (error.name === "AbortError") {
+      return false;
+    }
+    return !error.status || error.status >= 500 || error.status === 429;
+  }
+
+  /**
+   * @param task     Function returning a Promise
+   * @param attempt  [optional] how many times it failed already
+   */
+  function retry(task, options, attempt) {
+    attempt = attempt || 0;
+    return task().catch(error => {
+      if (attempt >= options.retries || !isTransient(error)) {
+        throw error;
+      }
+      return wait(options.backoff * Math.pow(2, attempt))
+        .then(() => retry(task, options, attempt + 1));
+    });
+  }
+
+  /**
+   * runs the tasks, never more than `limit` at the same time
+   * @param tasks [Function] each returning a Promise
+   * @returns Promise with the results, in the same order
+   */
+  function pool(tasks, limit) {
+    let results = [];
+    let next = 0;
+    function worker() {
+      if (next >= tasks.length) {
+        return Promise.resolve();
+      }
+      let position = next++;
+      return tasks[position]().then(result => {
+        results[position] = result;
+        return worker();
+      });
+    }
+    let workers = [];
+    for (let i = 0; i < Math.min(limit, tasks.length); i++) {
+      workers.push(worker());
+    }
+    return Promise.all(workers).then(() => results);
+  }
+
+  /**
+   * fetches many bugs, in batches
+   * @param getBug  Function(ids) -> Promise [bug]
+   * @returns Promise [bug]
+   */
+  function fetchAll(ids, getBug, options) {
+    options = Object.assign({}, DEFAULTS, options);
+    let tasks = chunk(ids, options.batchSize).map(batch => {
+      return () => retry(() => getBug(batch), options);
+    });
+    return pool(tasks, options.concurrency).then(results => {
+      return results.reduce((all, bugs) => all.concat(bugs), []);
+    });
+  }
+
+  // takes out the dependencies that point back to one of their ancestors
+  function breakCycles(tree) {
+    let done = {};
+    let path = {};
+    function visit(id) {
+      done[key(id)] = true;
+      // missing bugs have no dependencies we know of
+      if (!tree.children[key(id)]) {
+        return;
+      }
+      path[key(id)] = true;
+      tree.children[key(id)] = tree.children[key(id)].filter(child => {
+        if (path[key(child)]) {
+          tree.cycles.push([id, child]);
+          return false;
+        }
+        if (!done[key(child)]) {
+          visit(child);
+        }
+        return true;
+      });
+      path[key(id)] = false;
+    }
+    tree.roots.forEach(visit);
+    return tree;
+  }
+
+  /**
+   * @param roots   id or [id] to start from
+   * @param getBug  Function(ids) -> Promise [bug], every bug with its
+   *                `depends_on`
+   * @param options [optional] see DEFAULTS
+   * @returns Promise with the tree
+   */
+  function crawl(roots, getBug, options) {
+    let tree = { roots: [], bugs: {}, children: {}, cycles: [], missing: [] };
+    let seen = {};
+
+    function level(ids, depth) {
+      ids = ids.filter(id => {
+        let isNew = !seen[key(id)];
+        seen[key(id)] = true;
+        return isNew;
+      });
+      if (!ids.length) {
+        return Promise.resolve(tree);
+      }
+      return fetchAll(ids, getBug, options).then(bugs => {
+        let found = {};
+        let next = [];
+        bugs.forEach(bug => {
+          found[key(bug.id)] = true;
+          tree.bugs[key(bug.id)] = bug;
+          tree.children[key(bug.id)] = [].concat(bug.depends_on || []);
+          next = next.concat(tree.children[key(bug.id)]);
+          if (!depth) {
+            tree.roots.push(bug.id);
+          }
+        });
+        tree.missing = tree.missing.concat(ids.filter(id => !found[key(id)]));
+        return level(next, depth + 1);
+      });
+    }
+
+    return level([].concat(roots), 0).then(breakCycles);
+  }
+
+  // every bug id in the tree, as a flat list
+  function ids(tree) {
+    return Object.keys(tree.bugs).map(id => tree.bugs[id].id);
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    crawl: crawl,
+    fetchAll: fetchAll,
+    ids: ids,
+    chunk: chunk,
+    retry: retry
+  };
+
+});
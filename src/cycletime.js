@@ -0,0 +1,157 @@
+"use strict";
+
+/**
+ *  How long bugs take, out of their history (see Bugziller's getHistory):
+ *    wait   creation -> first assignment
+ *    cycle  first assignment -> last time it was FIXED
+ *    lead   creation -> last time it was FIXED
+ *    reopens  how many times it was reopened after being resolved
+ *  Times are in days. Every sprint gets the median and percentiles of the
+ *  bugs solved in it, the same sprints getSprintVelocity goes through.
+ *
+ *  How to use:
+ *  bugziller.getHistory(bugs.map(bug => bug.id)).then(histories => {
+ *    let times = CycleTime.measureAll(bugs, histories);
+ *    CycleTime.summarize(times).cycle.median;   // days
+ *  });
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../libs/moment.js"),
+                             require("./stats.js"));
+  } else {
+    namespace.CycleTime = factory(namespace.moment, namespace.Stats);
+  }
+})(this, function(moment, Stats) {
+  const TIMES = ["wait", "cycle", "lead"];
+  const PERCENTILES = [50, 85, 95];
+  // bugzilla puts this one instead of leaving it empty
+  const NOBODY = ["nobody@mozilla.org", ""];
+  const DAY = 24 * 60 * 60 * 1000;
+
+  // bug fields the tracker has to give, besides the history
+  function fields() {
+    return ["creation_time"];
+  }
+
+  function isAssignment(change) {
+    return (change.field_name === "assigned_to" &&
+            NOBODY.indexOf(change.added) === -1) ||
+           (change.field_name === "status" && change.added === "ASSIGNED");
+  }
+
+  function isFix(change) {
+    return change.field_name === "resolution" && change.added === "FIXED";
+  }
+
+  // back to open, with or without a REOPENED status in the workflow
+  function isReopen(change) {
+    return (change.field_name === "status" && change.added === "REOPENED") ||
+           (change.field_name === "resolution" && !!change.removed &&
+            !change.added);
+  }
+
+  function days(from, to) {
+    if (!from || !to) {
+      return null;
+    }
+    return Math.max(moment(to).diff(moment(from)) / DAY, 0);
+  }
+
+  /**
+   * @param bug     with its creation_time
+   * @param history [{ when, changes }] of that bug, oldest first
+   * @returns { id, created, assigned, fixed, wait, cycle, lead, reopens },
+   *          times null when the history doesn't tell
+   */
+  function measure(bug, history) {
+    let assigned = null;
+    let fixed = null;
+    let reopens = 0;
+    (history || []).forEach(entry => {
+      if (!assigned && entry.changes.some(isAssignment)) {
+        assigned = entry.when;
+      }
+      if (entry.changes.some(isFix)) {
+        fixed = entry.when;
+      }
+      // status and resolution change together, that's one reopen
+      if (entry.changes.some(isReopen)) {
+        reopens++;
+      }
+    });
+    let created = bug.creation_time || null;
+    // assigned on creation, so it never shows up as a change
+    if (!assigned && created && fixed) {
+      assigned = created;
+    }
+    return {
+      id: bug.id,
+      created: created,
+      assigned: assigned,
+      fixed: fixed,
+      wait: days(created, assigned),
+      cycle: days(assigned, fixed),
+      lead: days(created, fixed),
+      reopens: reopens
+    };
+  }
+
+  /**
+   * @param bugs      [bug]
+   * @param histories [{ id, history }] as getHistory gives them back
+   * @returns [{ id, ... }] see measure, in the same order as the bugs
+   */
+  function measureAll(bugs, histories) {
+    let byId = {};
+    histories.forEach(bug => byId[String(bug.id)] = bug.history);
+    return bugs.map(bug => measure(bug, byId[String(bug.id)]));
+  }
+
+  /**
+   * @param times [{ wait, cycle, lead, reopens }]
+   * @returns { count, reopens, wait: { median, 85, 95 }, cycle..., lead... }
+   *          NaN where no bug had that time
+   */
+  function summarize(times) {
+    let summary = {
+      count: times.length,
+      reopens: times.reduce((sum, time) => sum + time.reopens, 0)
+    };
+    TIMES.forEach(name => {
+      let values = times.map(time => time[name])
+                        .filter(value => value !== null);
+      summary[name] = {};
+      PERCENTILES.forEach(percentile => {
+        summary[name][percentile] = Stats.percentile(values, percentile);
+      });
+      summary[name].median = summary[name][50];
+    });
+    return summary;
+  }
+
+  /**
+   * upper and lower control limits: mean ± 3σ, lower never below 0
+   * @returns { mean, upper, lower }
+   */
+  function controlLimits(values) {
+    let mean = Stats.average(values);
+    let deviation = Stats.stdDeviation(values);
+    return {
+      mean: mean,
+      upper: mean + 3 * deviation,
+      lower: Math.max(mean - 3 * deviation, 0)
+    };
+  }
+
+  return {
+    TIMES: TIMES,
+    PERCENTILES: PERCENTILES,
+    fields: fields,
+    measure: measure,
+    measureAll: measureAll,
+    summarize: summarize,
+    controlLimits: controlLimits
+  };
+
+});
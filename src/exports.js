@@ -0,0 +1,103 @@
+"use strict";
+
+/**
+ *  Export buttons of the velocity view: the per-sprint series as CSV or
+ *  JSON, the chart as PNG, and a summary to print opened in a new window
+ *  (see Report), so nobody has to screenshot the canvas for a retro.
+ *
+ *  What to export is gathered by whoever sets it up, when it is asked:
+ *    gather() -> Promise with { name, title, unit, sprints: Report.rows(),
+ *                summary: Stats.summary(), headline, canvas, releases }
+ *  `name` is what the files are called, without the extension.
+ *  `releases` is a Function() -> Promise with ReleaseView.breakdown(),
+ *  only called by the summary.
+ *
+ *  How to use:
+ *  ExportView.init(() => Promise.resolve({ name: "velocity", ... }));
+ */
+var ExportView = (function(namespace) {
+  var UI = {
+    buttons: Array.from(document.querySelectorAll('#exports button')),
+    status: document.querySelector('#exports .status')
+  };
+
+  var gather = null;
+
+  function save(url, filename) {
+    let link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
+
+  function saveText(content, type, filename) {
+    let url = URL.createObjectURL(new Blob([content], { type: type }));
+    save(url, filename);
+    URL.revokeObjectURL(url);
+  }
+
+  const FORMATS = {
+    csv: data => saveText(Report.toCSV(data.sprints), "text/csv",
+                          data.name + '.csv'),
+    json: data => saveText(Report.toJSON({
+      unit: data.unit,
+      sprints: data.sprints,
+      summary: data.summary
+    }), "application/json", data.name + '.json'),
+    png: data => save(data.canvas.toDataURL('image/png'), data.name + '.png'),
+    summary: (data, page) => {
+      return Promise.resolve().then(data.releases).catch(error => {
+        return 'Cannot load the releases: ' + error.message;
+      }).then(releases => {
+        page.document.open();
+        page.document.write(Report.summaryHTML({
+          title: data.title,
+          headline: data.headline,
+          chart: data.canvas.toDataURL('image/png'),
+          sprints: data.sprints,
+          releases: releases
+        }));
+        page.document.close();
+        page.focus();
+      });
+    }
+  };
+
+  function run(format) {
+    // opened right away, after waiting for the data it'd be a popup
+    let page = format === 'summary' ? namespace.open('', '_blank') : null;
+    if (format === 'summary' && !page) {
+      UI.status.textContent = 'Allow popups to see the summary';
+      return Promise.resolve();
+    }
+    UI.status.textContent = '';
+    return gather().then(data => FORMATS[format](data, page))
+      .catch(error => {
+        if (page) {
+          page.close();
+        }
+        UI.status.textContent = 'Cannot export: ' + error.message;
+      });
+  }
+
+  /**
+   * @param gatherFn Function() -> Promise with what to export, see above
+   */
+  function init(gatherFn) {
+    gather = gatherFn;
+  }
+
+  UI.buttons.forEach(button => {
+    button.addEventListener('click', () => {
+      return gather && run(button.dataset.format);
+    });
+  });
+
+  return {
+    init: init,
+    run: run
+  };
+
+})(window);
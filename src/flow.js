@@ -0,0 +1,202 @@
+"use strict";
+
+/**
+ *  Day by day state of a set of bugs, out of their histories (see
+ *  Bugziller's getHistory): how many were open, assigned, fixed or closed
+ *  some other way at the end of every day, for cumulative flow and burn-up
+ *  charts.
+ *
+ *  With a dependency tree, the scope is what hung from its roots on every
+ *  day: the `depends_on` changes of the tree bugs are undone back in time,
+ *  so bugs added or taken out of the tree mid-release show up as scope
+ *  changes. Without one, the scope is just the bugs given.
+ *  [meta] bugs hold the tree together, but are not counted.
+ *
+ *  How to use:
+ *  let flow = Flow.series({
+ *    bugs: tree.bugs, histories: historiesById,
+ *    roots: tree.roots, children: tree.children
+ *  }, "2016-01-25", "2016-03-07");
+ *  flow.days;    // ["2016-01-25", ...]
+ *  flow.fixed;   // [0, 1, 1, 3, ...] one per day
+ *  flow.scope;   // [40, 40, 42, ...]
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../libs/moment.js"),
+                             require("./bugziller.js"));
+  } else {
+    namespace.Flow = factory(namespace.moment, namespace.Bugziller);
+  }
+})(this, function(moment, Bugziller) {
+  const DATE_FORMAT = "YYYY-MM-DD";
+  const STATES = ["open", "assigned", "fixed", "closed"];
+  const NOBODY = ["nobody@mozilla.org", ""];
+
+  // "123, 456" as bugzilla puts lists in the history
+  function idList(value) {
+    return (value || "").split(',').map(id => id.trim()).filter(id => !!id);
+  }
+
+  function changesOf(history, field) {
+    let found = [];
+    (history || []).forEach(entry => {
+      entry.changes.forEach(change => {
+        if (change.field_name === field) {
+          found.push({ when: entry.when, removed: change.removed,
+                       added: change.added });
+        }
+      });
+    });
+    return found;
+  }
+
+  /**
+   * state of a bug at a point in time, replaying its history
+   * @returns one of STATES, or null if it didn't exist yet
+   */
+  function stateAt(bug, history, when) {
+    if (bug.creation_time && moment(bug.creation_time).isAfter(when)) {
+      return null;
+    }
+    let resolution = "";
+    let assigned = false;
+    let everAssigned = false;
+    (history || []).forEach(entry => {
+      if (moment(entry.when).isAfter(when)) {
+        return;
+      }
+      entry.changes.forEach(change => {
+        if (change.field_name === "resolution") {
+          resolution = change.added;
+        } else if (change.field_name === "assigned_to") {
+          everAssigned = true;
+          assigned = NOBODY.indexOf(change.added) === -1;
+        } else if (change.field_name === "status" &&
+                   change.added === "ASSIGNED") {
+          assigned = true;
+        }
+      });
+    });
+    // assigned when it was filed, so the history never says it
+    if (!everAssigned && bug.assigned_to &&
+        NOBODY.indexOf(bug.assigned_to) === -1) {
+      assigned = true;
+    }
+    if (resolution === "FIXED") {
+      return "fixed";
+    }
+    if (resolution) {
+      return "closed";
+    }
+    return assigned ? "assigned" : "open";
+  }
+
+  /**
+   * parent -> dependencies as they were at a point in time, undoing the
+   * changes that came after it, newest first
+   */
+  function childrenAt(children, histories, when) {
+    let past = {};
+    Object.keys(children).forEach(parent => {
+      let current = {};
+      children[parent].forEach(child => current[String(child)] = true);
+      changesOf(histories[parent], "depends_on")
+        .filter(change => moment(change.when).isAfter(when))
+        .reverse()
+        .forEach(change => {
+          idList(change.added).forEach(id => delete current[id]);
+          idList(change.removed).forEach(id => current[id] = true);
+        });
+      past[parent] = Object.keys(current);
+    });
+    return past;
+  }
+
+  // ids reachable from the roots
+  function reachable(roots, children) {
+    let found = {};
+    let pending = roots.map(String);
+    while (pending.length) {
+      let id = pending.shift();
+      if (!found[id]) {
+        found[id] = true;
+        pending = pending.concat(children[id] || []);
+      }
+    }
+    return Object.keys(found);
+  }
+
+  /**
+   * ids that were in the tree at some point but are not anymore, to ask
+   * the tracker for them too
+   */
+  function removed(children, histories) {
+    let gone = {};
+    Object.keys(children).forEach(parent => {
+      changesOf(histories[parent], "depends_on").forEach(change => {
+        idList(change.removed).forEach(id => gone[id] = true);
+      });
+    });
+    return Object.keys(gone).filter(id => !children[id]);
+  }
+
+  /**
+   * @param input  { bugs: { id: bug }, histories: { id: history },
+   *                 roots, children } roots and children as Crawler gives
+   *               them, leave them out to have every bug as the scope
+   * @param start  first day, "YYYY-MM-DD"
+   * @param end    last day, today if it is later
+   * @returns { days, open, assigned, fixed, closed, scope, added, removed }
+   *          one value per day, `added` and `removed` being the ids that
+   *          came in or went out of the scope that day
+   */
+  function series(input, start, end) {
+    let flow = { days: [], scope: [], added: [], removed: [] };
+    STATES.forEach(state => flow[state] = []);
+    let last = moment.min(moment(end, DATE_FORMAT), moment());
+    let previous = null;
+
+    for (let day = moment(start, DATE_FORMAT); !day.isAfter(last, 'day');
+         day.add(1, 'day')) {
+      let when = day.clone().endOf('day');
+      let ids = Object.keys(input.bugs);
+      if (input.roots) {
+        ids = reachable(input.roots, childrenAt(input.children,
+                                                input.histories, when));
+      }
+      let counts = {};
+      STATES.forEach(state => counts[state] = 0);
+      let scope = ids.filter(id => {
+        let bug = input.bugs[id];
+        if (!bug || Bugziller.isMeta(bug)) {
+          return false;
+        }
+        let state = stateAt(bug, input.histories[id], when);
+        if (state) {
+          counts[state]++;
+        }
+        return !!state;
+      });
+
+      flow.days.push(day.format(DATE_FORMAT));
+      STATES.forEach(state => flow[state].push(counts[state]));
+      flow.scope.push(scope.length);
+      flow.added.push(previous ?
+                      scope.filter(id => previous.indexOf(id) === -1) : []);
+      flow.removed.push(previous ?
+                        previous.filter(id => scope.indexOf(id) === -1) : []);
+      previous = scope;
+    }
+    return flow;
+  }
+
+  return {
+    STATES: STATES,
+    stateAt: stateAt,
+    childrenAt: childrenAt,
+    removed: removed,
+    series: series
+  };
+
+});
@@ -0,0 +1,140 @@
+"use strict";
+
+/**
+ *  Forecasts when a tracking bug will be done, out of the velocity of the
+ *  past sprints: its open, non-meta dependencies are the work left.
+ *
+ *  Two ways of telling the uncertainty:
+ *    - mean ± standard deviation: optimistic at (mean + σ) bugs per
+ *      sprint, pessimistic at (mean - σ)
+ *    - Monte Carlo: sprints are replayed picking random past sprints
+ *      until the work is done, and the percentiles of how many sprints
+ *      that took are the confidence levels
+ *
+ *  How to use:
+ *  let remaining = Forecast.workLeft(tree).length;
+ *  let projection = Forecast.project(remaining, [10, 12, 7, 15]);
+ *  projection.sprints.likely;      // 4
+ *  projection.monteCarlo[85];      // 85% sure it's done in that many
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./stats.js"),
+                             require("./bugziller.js"));
+  } else {
+    namespace.Forecast = factory(namespace.Stats, namespace.Bugziller);
+  }
+})(this, function(Stats, Bugziller) {
+  const DEFAULTS = {
+    runs: 1000,
+    percentiles: [50, 85, 95],
+    // nobody plans further than that
+    maxSprints: 52,
+    random: Math.random
+  };
+
+  /**
+   * the open, non-meta dependencies of a tracking bug. The tracking bug
+   * itself is left out: it stays open until they are done, but it is not
+   * work of its own
+   * @param tree as Crawler gives it
+   * @returns [bug]
+   */
+  function workLeft(tree) {
+    let roots = tree.roots.map(String);
+    return Object.keys(tree.bugs).filter(id => roots.indexOf(id) === -1)
+      .map(id => tree.bugs[id])
+      .filter(bug => !Bugziller.isClosed(bug) && !Bugziller.isMeta(bug));
+  }
+
+  // sprints needed at a given pace, Infinity if it never gets there
+  function sprintsAt(remaining, pace) {
+    if (remaining <= 0) {
+      return 0;
+    }
+    return pace > 0 ? Math.ceil(remaining / pace) : Infinity;
+  }
+
+  /**
+   * replays the history at random until the work is done, `runs` times
+   * @returns { percentile: sprints }, Infinity when over maxSprints
+   */
+  function monteCarlo(remaining, velocities, options) {
+    if (!velocities.length || !velocities.some(value => value > 0)) {
+      return options.percentiles.reduce((result, percentile) => {
+        result[percentile] = Infinity;
+        return result;
+      }, {});
+    }
+    let results = [];
+    for (let run = 0; run < options.runs; run++) {
+      let done = 0;
+      let sprints = 0;
+      while (done < remaining && sprints <= options.maxSprints) {
+        done += velocities[Math.floor(options.random() * velocities.length)];
+        sprints++;
+      }
+      results.push(sprints > options.maxSprints ? Infinity : sprints);
+    }
+    results.sort((a, b) => a - b);
+    return options.percentiles.reduce((result, percentile) => {
+      let position = Math.ceil(percentile / 100 * results.length) - 1;
+      result[percentile] = results[Math.max(position, 0)];
+      return result;
+    }, {});
+  }
+
+  /**
+   * @param remaining   number of bugs still to do
+   * @param velocities  [int] bugs solved on every past sprint
+   * @param options     [optional] runs, percentiles, maxSprints, random
+   * @returns { remaining, mean, stdDev, sprints: { optimistic, likely,
+   *            pessimistic }, monteCarlo: { percentile: sprints } }
+   */
+  function project(remaining, velocities, options) {
+    options = Object.assign({}, DEFAULTS, options);
+    let mean = velocities.length ? Stats.average(velocities) : 0;
+    let stdDev = velocities.length ? Stats.stdDeviation(velocities) : 0;
+    return {
+      remaining: remaining,
+      mean: mean,
+      stdDev: stdDev,
+      sprints: {
+        optimistic: sprintsAt(remaining, mean + stdDev),
+        likely: sprintsAt(remaining, mean),
+        pessimistic: sprintsAt(remaining, mean - stdDev)
+      },
+      monteCarlo: monteCarlo(remaining, velocities, options)
+    };
+  }
+
+  /**
+   * work left after every coming sprint, at each of the three paces,
+   * for a burn-down with a confidence band
+   * @param count how many sprints to draw
+   */
+  function burnDown(projection, count) {
+    let paces = {
+      optimistic: projection.mean + projection.stdDev,
+      likely: projection.mean,
+      pessimistic: Math.max(projection.mean - projection.stdDev, 0)
+    };
+    let series = {};
+    Object.keys(paces).forEach(name => {
+      series[name] = [];
+      for (let sprint = 0; sprint <= count; sprint++) {
+        series[name].push(Math.max(projection.remaining - sprint * paces[name],
+                                   0));
+      }
+    });
+    return series;
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    workLeft: workLeft,
+    project: project,
+    burnDown: burnDown
+  };
+
+});
@@ -0,0 +1,134 @@
+"use strict";
+
+/**
+ *  The bugs behind a bar of the velocity chart: a panel listing the bugs
+ *  of a sprint with their id, summary, category (see Classifier) and
+ *  resolution, linked to the tracker. It can be filtered by text, can hide
+ *  the [meta] bugs, and exports what is shown as CSV.
+ *
+ *  How to use:
+ *  SprintPanel.show(bugziller, sprint, solvedBugs);
+ */
+var SprintPanel = (function(namespace) {
+  const COLUMNS = ["id", "summary", "category", "resolution", "url"];
+
+  var UI = {
+    panel: document.getElementById('sprint-panel'),
+    title: document.querySelector('#sprint-panel h3'),
+    close: document.querySelector('#sprint-panel .close'),
+    filter: document.querySelector('#sprint-panel input[type=search]'),
+    hideMetas: document.querySelector('#sprint-panel input[type=checkbox]'),
+    exportButton: document.querySelector('#sprint-panel .export'),
+    count: document.querySelector('#sprint-panel .count'),
+    table: document.querySelector('#sprint-panel tbody')
+  };
+
+  // what is being shown: { bugziller, sprint, bugs }
+  var current = null;
+
+  // bugs as rows, reopened entries (see Accounting) saying so
+  function rows(bugziller, bugs) {
+    return bugs.map(bug => ({
+      id: bug.id,
+      summary: bug.summary,
+      category: Classifier.classify(bug),
+      resolution: bug.reopened ? 'reopened' : (bug.resolution || 'open'),
+      url: bugziller.bugUrl(bug) || '',
+      meta: Bugziller.isMeta(bug)
+    }));
+  }
+
+  function visible() {
+    let text = UI.filter.value.trim().toLowerCase();
+    return rows(current.bugziller, current.bugs).filter(row => {
+      if (UI.hideMetas.checked && row.meta) {
+        return false;
+      }
+      return !text || COLUMNS.some(column => {
+        return String(row[column] || '').toLowerCase().indexOf(text) !== -1;
+      });
+    });
+  }
+
+  function cell(row, content) {
+    let td = document.createElement('td');
+    // bugs missing a field show it empty
+    if (content === null || content === undefined) {
+      content = '';
+    }
+    if (typeof content === "string" || typeof content === "number") {
+      td.textContent = content;
+    } else {
+      td.appendChild(content);
+    }
+    row.appendChild(td);
+  }
+
+  function render() {
+    let shown = visible();
+    UI.table.innerHTML = '';
+    shown.forEach(bug => {
+      let row = document.createElement('tr');
+      row.className = bug.meta ? 'meta' : '';
+      let link = document.createElement(bug.url ? 'a' : 'span');
+      link.textContent = bug.id;
+      if (bug.url) {
+        link.href = bug.url;
+        link.target = '_blank';
+      }
+      cell(row, link);
+      cell(row, bug.summary);
+      cell(row, bug.category);
+      cell(row, bug.resolution);
+      UI.table.appendChild(row);
+    });
+    UI.count.textContent = shown.length + ' of ' + current.bugs.length +
+                           ' bugs';
+  }
+
+  function toCSV(list) {
+    return [COLUMNS.join(',')].concat(list.map(row => {
+      return COLUMNS.map(column => Report.csvValue(row[column])).join(',');
+    })).join('\n') + '\n';
+  }
+
+  function download() {
+    let blob = new Blob([toCSV(visible())], { type: "text/csv" });
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'sprint-' + SprintCalendar.label(current.sprint) + '.csv';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * @param bugziller  Bugziller instance, for the links
+   * @param sprint     the sprint clicked
+   * @param bugs       its bugs, as getVelocity gave them
+   */
+  function show(bugziller, sprint, bugs) {
+    current = { bugziller: bugziller, sprint: sprint, bugs: bugs };
+    UI.title.textContent = 'Sprint ' + SprintCalendar.label(sprint) +
+                           ' (' + sprint.start + ' - ' + sprint.end + ')';
+    UI.panel.classList.remove('nope');
+    render();
+  }
+
+  function hide() {
+    UI.panel.classList.add('nope');
+    current = null;
+  }
+
+  UI.filter.addEventListener('input', () => current && render());
+  UI.hideMetas.addEventListener('change', () => current && render());
+  UI.exportButton.addEventListener('click', () => current && download());
+  UI.close.addEventListener('click', hide);
+
+  return {
+    show: show,
+    hide: hide
+  };
+
+})(window);
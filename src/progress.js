@@ -0,0 +1,220 @@
+"use strict";
+
+/**
+ *  Day by day view of a release or a sprint (see Flow): a cumulative flow
+ *  diagram with the open, assigned, fixed and otherwise closed bugs, and a
+ *  burn-up of the fixed ones against the scope, with the days bugs were
+ *  added to or taken out of it.
+ *
+ *  Releases with a tracking `bug` take their scope from its dependency
+ *  tree, anything else from the bugs committed or solved in its dates.
+ *
+ *  How to use:
+ *  ProgressView.show(bugziller, releases, sprints);
+ */
+var ProgressView = (function(namespace) {
+  const INPUT_FORMATS = ["DD/MM/YYYY", "YYYY-MM-DD"];
+  // drawn from the top of the pile down, each band over the previous one
+  const BANDS = [
+    { state: "open", label: "open", color: "rgba(200,150,50,1)" },
+    { state: "assigned", label: "assigned", color: "rgba(50,150,200,1)" },
+    { state: "fixed", label: "fixed", color: "rgba(100,180,90,1)" },
+    { state: "closed", label: "closed, not fixed",
+      color: "rgba(150,150,150,1)" }
+  ];
+
+  var UI = {
+    range: document.getElementById('flow-range'),
+    status: document.getElementById('flow-status'),
+    flow: document.getElementById('flow-graph'),
+    burnUp: document.getElementById('burnup-graph'),
+    legend: document.getElementById('flow-legend'),
+    changes: document.getElementById('scope-changes')
+  };
+
+  var charts = [];
+  var ranges = [];
+  var bugziller = null;
+
+  function date(value) {
+    let day = moment(value, INPUT_FORMATS, true);
+    return (day.isValid() ? day : moment()).format("YYYY-MM-DD");
+  }
+
+  // `end` is the first day out, as the tracker is asked for it, and `last`
+  // the last day drawn
+  function span(label, start, end, bug) {
+    return {
+      label: label,
+      start: start,
+      end: end,
+      last: moment(end).subtract(1, 'day').format("YYYY-MM-DD"),
+      bug: bug
+    };
+  }
+
+  // releases and sprints, latest first
+  function toRanges(releases, sprints) {
+    return releases.slice().reverse().map(release => {
+      // one still going on is drawn up to today, included
+      let end = moment(release.end, INPUT_FORMATS, true).isValid() ?
+                date(release.end) :
+                moment().add(1, 'day').format("YYYY-MM-DD");
+      return span(release.type + ' ' + release.name, date(release.start),
+                  end, release.bug);
+    }).concat(sprints.slice().reverse().map(sprint => {
+      return span('sprint ' + SprintCalendar.label(sprint), sprint.start,
+                  sprint.end);
+    }));
+  }
+
+  function byId(list) {
+    let found = {};
+    list.forEach(item => found[String(item.id)] = item);
+    return found;
+  }
+
+  // getHistory gives [{ id, history }], Flow wants { id: history }
+  function historiesById(list) {
+    let found = {};
+    list.forEach(item => found[String(item.id)] = item.history);
+    return found;
+  }
+
+  /**
+   * bugs, their histories and, with a tracking bug, its tree as it is now
+   * plus the bugs that were taken out of it
+   * @param instance Bugziller instance to ask
+   */
+  function gather(range, instance) {
+    if (!range.bug) {
+      return instance.getRange(range.start, range.end).then(lists => {
+        let bugs = byId(lists[0].concat(lists[1]));
+        return instance.getHistory(Object.keys(bugs)).then(histories => {
+          return { bugs: bugs, histories: historiesById(histories) };
+        });
+      });
+    }
+    return instance.getTree(range.bug).then(tree => {
+      return instance.getHistory(Crawler.ids(tree)).then(histories => {
+        let input = {
+          bugs: Object.assign({}, tree.bugs),
+          histories: historiesById(histories),
+          roots: tree.roots,
+          children: tree.children
+        };
+        let gone = Flow.removed(tree.children, input.histories);
+        return Promise.all([
+          instance.getOne(gone),
+          instance.getHistory(gone)
+        ]).then(extra => {
+          Object.assign(input.bugs, byId(extra[0]));
+          Object.assign(input.histories, historiesById(extra[1]));
+          return input;
+        });
+      });
+    });
+  }
+
+  function lineChart(canvas, labels, datasets) {
+    return new Chart(canvas.getContext("2d")).Line({
+      labels: labels,
+      datasets: datasets
+    }, {
+      maintainAspectRatio: true,
+      responsive: true,
+      bezierCurve: false,
+      pointDot: false,
+      animationSteps: 15
+    });
+  }
+
+  function draw(flow) {
+    charts.forEach(chart => chart.destroy());
+    let labels = flow.days.map(day => moment(day).format("D MMM"));
+
+    // every band is the sum of itself and the ones below it
+    let flowSets = BANDS.map((band, position) => ({
+      label: band.label,
+      fillColor: band.color,
+      strokeColor: band.color,
+      data: flow.days.map((day, index) => {
+        return BANDS.slice(position).reduce((sum, below) => {
+          return sum + flow[below.state][index];
+        }, 0);
+      })
+    }));
+    let burnUpSets = [{
+      label: "scope",
+      fillColor: "rgba(0,0,0,0)",
+      strokeColor: "rgba(210,110,180,1)",
+      data: flow.scope
+    }, {
+      label: "fixed",
+      fillColor: "rgba(100,180,90,0.3)",
+      strokeColor: "rgba(100,180,90,1)",
+      data: flow.fixed
+    }];
+    charts = [lineChart(UI.flow, labels, flowSets),
+              lineChart(UI.burnUp, labels, burnUpSets)];
+    View.legend(UI.legend, BANDS);
+
+    UI.changes.innerHTML = '';
+    flow.days.forEach((day, index) => {
+      let changes = flow.added[index].map(id => '+ bug ' + id).concat(
+                    flow.removed[index].map(id => '- bug ' + id));
+      if (!changes.length) {
+        return;
+      }
+      let item = document.createElement('li');
+      item.textContent = moment(day).format("D MMM") + ': ' +
+                         changes.join(', ');
+      UI.changes.appendChild(item);
+    });
+  }
+
+  function load(range) {
+    // picking another range cancels the one before
+    let loading = LoadStatus.begin('progress', range.label);
+    UI.status.textContent = 'Reading the history of ' + range.label + '...';
+    return gather(range, bugziller.withSignal(loading.signal)).then(input => {
+      if (loading.isCurrent()) {
+        UI.status.textContent = '';
+        draw(Flow.series(input, range.start, range.last));
+      }
+    }).catch(error => {
+      if (loading.isCurrent()) {
+        UI.status.textContent = 'Cannot show ' + range.label + ': ' +
+          (Bugziller.isAborted(error) ? 'cancelled' : error.message);
+      }
+    }).then(() => loading.done());
+  }
+
+  /**
+   * @param instance  Bugziller instance, its backend needs getHistory
+   * @param releases  [{ type, name, start, end, bug }] as in releases.json
+   * @param sprints   sprint calendar
+   * releases and sprints are listed latest first, and the latest release
+   * is the one shown first
+   * @returns Promise, resolved once the first one is drawn
+   */
+  function show(instance, releases, sprints) {
+    bugziller = instance;
+    ranges = toRanges(releases, sprints);
+    UI.range.innerHTML = '';
+    ranges.forEach((range, position) => {
+      let option = document.createElement('option');
+      option.value = position;
+      option.textContent = range.label;
+      UI.range.appendChild(option);
+    });
+    return ranges.length ? load(ranges[0]) : Promise.resolve();
+  }
+
+  UI.range.addEventListener('change', () => load(ranges[UI.range.value]));
+
+  return {
+    show: show
+  };
+
+})(window);
@@ -0,0 +1,171 @@
+"use strict";
+
+/**
+ *  Release based report: for every release, how many bugs were
+ *  committed, solved and completed during it, with the [meta] bugs
+ *  counted apart. Shown as a table plus a grouped bar chart.
+ *
+ *  Releases come from a JSON file (data/releases.json by default):
+ *  [{ type, name, start, end, bug }], dates as DD/MM/YYYY. With a `bug`,
+ *  only that bug's dependency tree counts, and a release still going on
+ *  has no valid `end` ("---"), so it runs until today.
+ *
+ *  How to use:
+ *  ReleaseView.load("data/releases.json").then(releases => {
+ *    return ReleaseView.show(bugziller, releases, sprints);
+ *  });
+ */
+var ReleaseView = (function(namespace) {
+  // order they are shown in
+  const SERIES = [
+    { bucket: "committed", label: "committed", color: "rgba(50,150,200,0.7)" },
+    { bucket: "solved", label: "solved", color: "rgba(210,110,180,0.7)" },
+    { bucket: "completed", label: "completed", color: "rgba(100,180,90,0.7)" }
+  ];
+  const META_ALPHA = "0.3)";
+  // the table columns, as breakdown() gives them
+  const COLUMNS = ["Release", "Dates", "Sprints", "Committed", "Solved",
+                   "Completed", "Solved / sprint"];
+
+  var UI = {
+    table: document.querySelector('#release-table tbody'),
+    canvas: document.getElementById('release-graph'),
+    legend: document.getElementById('release-legend')
+  };
+
+  // [cell] of every release shown so far
+  var printed = [];
+  // the one drawn last, Chart.js keeps drawing it on the canvas until it
+  // is destroyed
+  var chart = null;
+
+  function load(path) {
+    return fetch(path).then(response => {
+      if (!response.ok) {
+        throw new Error('cannot read releases file ' + path +
+                        ' (' + response.status + ')');
+      }
+      return response.json();
+    });
+  }
+
+  // "---" and friends mean the release is still going on
+  function endOf(release) {
+    let end = moment(release.end, "DD/MM/YYYY", true);
+    return (end.isValid() ? end : moment()).format("YYYY-MM-DD");
+  }
+
+  function cell(row, text) {
+    let td = document.createElement('td');
+    td.textContent = text;
+    row.appendChild(td);
+  }
+
+  // one table row per release, metas between brackets
+  function printData(origin, data, sprintCount) {
+    if (!origin || !data) {
+      return;
+    }
+
+    let cells = [origin.type + ' ' + origin.name,
+                 origin.start + ' - ' + origin.end,
+                 sprintCount];
+    SERIES.forEach(serie => {
+      let bucket = data[serie.bucket];
+      cells.push(bucket.done.length + ' (+ ' + bucket.metas.length + ' metas)');
+    });
+    cells.push(sprintCount ?
+               parseFloat(data.solved.done.length / sprintCount).toFixed(1) :
+               '-');
+    printed.push(cells);
+
+    let row = document.createElement('tr');
+    cells.forEach(text => cell(row, text));
+    UI.table.appendChild(row);
+  }
+
+  /**
+   * the table as it is shown, for the printable summary
+   * @returns { columns: [String], rows: [[cell]] }
+   */
+  function breakdown() {
+    return { columns: COLUMNS, rows: printed.slice() };
+  }
+
+  // a bar per bucket, and another one for its metas, per release
+  function createChart() {
+    if (chart) {
+      chart.destroy();
+    }
+    let datasets = [];
+    SERIES.forEach(serie => {
+      datasets.push({
+        label: serie.label,
+        fillColor: serie.color,
+        data: []
+      });
+      datasets.push({
+        label: serie.label + ' metas',
+        fillColor: serie.color.replace(/[\d.]+\)$/, META_ALPHA),
+        data: []
+      });
+    });
+    chart = new Chart(UI.canvas.getContext("2d")).Bar({
+      labels: [],
+      datasets: datasets
+    }, {
+      maintainAspectRatio: true,
+      responsive: true,
+      barValueSpacing: 4,
+      barDatasetSpacing: 0,
+      animationSteps: 15
+    });
+    View.legend(UI.legend, datasets.map(dataset => {
+      return { label: dataset.label, color: dataset.fillColor };
+    }));
+    return chart;
+  }
+
+  function addToChart(chart, release, data) {
+    let values = [];
+    SERIES.forEach(serie => {
+      values.push(data[serie.bucket].done.length,
+                  data[serie.bucket].metas.length);
+    });
+    chart.addData(values, release.type + ' ' + release.name);
+  }
+
+  /**
+   * queries and shows the releases one after the other, as the original
+   * report did, so Bugzilla doesn't get everything at once
+   * @param bugziller  Bugziller instance
+   * @param releases   [{ type, name, start, end, bug }]
+   * @param sprints    sprint calendar, to tell how many sprints each had
+   */
+  function show(bugziller, releases, sprints) {
+    // releases still coming for an earlier call go to its own chart
+    let drawn = createChart();
+    // trying again starts over
+    printed = [];
+    UI.table.innerHTML = '';
+    return releases.reduce((sequence, release) => {
+      return sequence.then(() => {
+        return bugziller.getRelease(release);
+      }).then(fullBugList => {
+        return Stats.filterBugs(fullBugList);
+      }).then(classifiedLists => {
+        let releaseSprints = SprintCalendar.between(sprints, release.start,
+                                                    endOf(release));
+        printData(release, classifiedLists, releaseSprints.length);
+        addToChart(drawn, release, classifiedLists);
+      });
+    }, Promise.resolve());
+  }
+
+  return {
+    load: load,
+    show: show,
+    breakdown: breakdown
+  };
+
+})(window);
@@ -0,0 +1,142 @@
+"use strict";
+
+/**
+ *  What the dashboard exports: the per-sprint series as CSV or JSON, and
+ *  a printable HTML summary with the headline velocity, the chart and the
+ *  release breakdown, for retros.
+ *
+ *  How to use:
+ *  let rows = Report.rows(sprints, bugArrays, bugs => bugs.length);
+ *  Report.toCSV(rows);
+ *  Report.toJSON({ unit: "bugs", sprints: rows, summary: Stats.summary(...) });
+ *  Report.summaryHTML({ title, headline, chart, sprints: rows, releases });
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./accounting.js"));
+  } else {
+    namespace.Report = factory(namespace.Accounting);
+  }
+})(this, function(Accounting) {
+  const COLUMNS = ["sprint", "start", "end", "solved", "bugs", "reopened"];
+  // lists in a single CSV cell
+  const LIST_SEPARATOR = " ";
+  // the summary is printed on white paper, not shown on the dashboard
+  const SUMMARY_STYLE = [
+    "body { font-family: sans-serif; margin: 20px; }",
+    "img { max-width: 100%; }",
+    "table { border-collapse: collapse; margin-bottom: 20px; }",
+    "th, td { border: 1px solid #ccc; padding: 2px 8px; }",
+    ".headline { font-size: 20pt; }",
+    "@media print { h2 { page-break-after: avoid; } }"
+  ];
+
+  /**
+   * @param sprints   [{ name, start, end }]
+   * @param bugArrays [[bug]] solved on every sprint, as getVelocity gives
+   * @param measure   [optional] Function([bug]) -> what the sprint solved,
+   *                  counting them by default
+   * @returns [{ sprint, start, end, solved, bugs: [id], reopened: [id] }]
+   */
+  function rows(sprints, bugArrays, measure) {
+    measure = measure || (bugs => Accounting.measure(bugs, counted => {
+      return counted.length;
+    }));
+    return bugArrays.map((bugs, position) => {
+      let sprint = sprints[position];
+      let parts = Accounting.split(bugs);
+      return {
+        sprint: sprint.name || sprint.start,
+        start: sprint.start,
+        end: sprint.end,
+        solved: measure(bugs),
+        bugs: parts.counted.map(bug => bug.id),
+        reopened: parts.reopened.map(bug => bug.id)
+      };
+    });
+  }
+
+  /**
+   * a CSV cell, quoted when needed, as spreadsheets expect it. Every CSV
+   * of the dashboard and the command line goes through this one.
+   * @param value anything, lists are joined and null/undefined are empty
+   */
+  function csvValue(value) {
+    value = Array.isArray(value) ? value.join(LIST_SEPARATOR) :
+            value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' :
+                                  value;
+  }
+
+  function toCSV(rowList) {
+    return [COLUMNS.join(',')].concat(rowList.map(row => {
+      return COLUMNS.map(column => csvValue(row[column])).join(',');
+    })).join('\n') + '\n';
+  }
+
+  /**
+   * @param report { unit, sprints: rows(), summary }, anything else is
+   *               kept too
+   */
+  function toJSON(report) {
+    return JSON.stringify(report, null, 2) + '\n';
+  }
+
+  function escape(text) {
+    return String(text === null || text === undefined ? "" : text)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function table(columns, rowList) {
+    let line = (tag, cells) => '<tr>' + cells.map(cell => {
+      return '<' + tag + '>' + escape(cell) + '</' + tag + '>';
+    }).join('') + '</tr>';
+    return '<table><thead>' + line('th', columns) + '</thead><tbody>' +
+           rowList.map(cells => line('td', cells)).join('') +
+           '</tbody></table>';
+  }
+
+  /**
+   * a page to print on its own, with everything escaped
+   * @param summary { title, headline, chart, sprints, releases } where
+   *        headline is the velocity text ("12 ± 3 bugs per sprint"), chart
+   *        a data url of the image, sprints rows(), and releases
+   *        { columns, rows: [[cell]] } or an error message
+   * @returns String with the whole html document
+   */
+  function summaryHTML(summary) {
+    let parts = ['<h1>' + escape(summary.title) + '</h1>',
+                 '<p class="headline">' + escape(summary.headline) + '</p>'];
+    if (summary.chart) {
+      parts.push('<img src="' + escape(summary.chart) + '" alt="velocity">');
+    }
+    if (summary.sprints) {
+      parts.push('<h2>Sprints</h2>',
+                 table(["Sprint", "Start", "End", "Solved"],
+                       summary.sprints.map(row => {
+                         return [row.sprint, row.start, row.end, row.solved];
+                       })));
+    }
+    parts.push('<h2>Releases</h2>');
+    let releases = summary.releases;
+    parts.push(releases && releases.rows ?
+               table(releases.columns, releases.rows) :
+               '<p>' + escape(releases || 'No releases.') + '</p>');
+    return '<!DOCTYPE html>\n<html><head><meta charset="utf-8">' +
+           '<title>' + escape(summary.title) + '</title>\n<style>\n' +
+           SUMMARY_STYLE.join('\n') + '\n</style></head><body>\n' +
+           parts.join('\n') +
+           '\n</body></html>\n';
+  }
+
+  return {
+    COLUMNS: COLUMNS,
+    rows: rows,
+    csvValue: csvValue,
+    toCSV: toCSV,
+    toJSON: toJSON,
+    summaryHTML: summaryHTML
+  };
+
+});
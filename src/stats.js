@@ -0,0 +1,224 @@
+"use strict";
+
+/**
+ *  Statistics helpers for the velocity numbers, and the meta filtering
+ *  (and bug categories, see Classifier) the release numbers go through.
+ *
+ *  Besides the all-time mean and deviation, `summary` tells the velocity
+ *  of the last sprints only (a rolling window), the median and quartiles,
+ *  the trend, and which sprints are outliers: out of Tukey's fences,
+ *  `outlierFactor` times the interquartile range past the quartiles.
+ *
+ *  How to use:
+ *  let velocity = Stats.average(solvedPerSprint);
+ *  let deviation = Stats.stdDeviation(solvedPerSprint);
+ *  let recent = Stats.summary(solvedPerSprint, { window: 6 });
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./bugziller.js"),
+                             require("./classify.js"));
+  } else {
+    namespace.Stats = factory(namespace.Bugziller, namespace.Classifier);
+  }
+})(this, function(Bugziller, Classifier) {
+  // same order Bugziller's getRelease gives them back
+  const BUCKETS = ["solved", "committed", "completed"];
+  const DEFAULTS = {
+    // last sprints the headline looks at, null for all of them
+    window: null,
+    // leave the outlier sprints out of the headline
+    excludeOutliers: false,
+    outlierFactor: 1.5
+  };
+
+  // just calculate the average of the values passed as an array
+  function average(data) {
+    var sum = data.reduce((sum, value) => sum + value, 0);
+    return sum / data.length;
+  }
+
+  // The Standard Deviation is calculated...
+  //  "by taking the square root of the average of the squared differences
+  //   of the values from their average value"
+  function stdDeviation(pureData) {
+    // first calculate the average of the pure data
+    var avg = average(pureData);
+    // now the squared diffs
+    var squareDiffs = pureData.map(value => (value - avg) * (value - avg));
+    // then the squared average
+    var avgSquareDiff = average(squareDiffs);
+    // and finally calculate the deviation
+    return Math.sqrt(avgSquareDiff);
+  }
+
+  /**
+   * value below which `percentile`% of the data falls, interpolating
+   * between the two closest ones
+   * @param percentile 0 to 100
+   */
+  function percentile(data, percentile) {
+    if (!data.length) {
+      return NaN;
+    }
+    let sorted = data.slice().sort((a, b) => a - b);
+    let position = (sorted.length - 1) * percentile / 100;
+    let below = Math.floor(position);
+    let above = Math.ceil(position);
+    return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+  }
+
+  function median(data) {
+    return percentile(data, 50);
+  }
+
+  /**
+   * @returns { q1, median, q3, iqr }
+   */
+  function quartiles(data) {
+    let q1 = percentile(data, 25);
+    let q3 = percentile(data, 75);
+    return { q1: q1, median: median(data), q3: q3, iqr: q3 - q1 };
+  }
+
+  /**
+   * least squares line of the values over their position (0, 1, 2...)
+   * @returns { slope, intercept }, `slope` being how much they grow (or
+   *          shrink) from one sprint to the next
+   */
+  function regression(values) {
+    if (values.length < 2) {
+      return { slope: 0, intercept: values.length ? values[0] : 0 };
+    }
+    let meanX = (values.length - 1) / 2;
+    let meanY = average(values);
+    let covariance = 0;
+    let variance = 0;
+    values.forEach((value, x) => {
+      covariance += (x - meanX) * (value - meanY);
+      variance += (x - meanX) * (x - meanX);
+    });
+    let slope = covariance / variance;
+    return { slope: slope, intercept: meanY - slope * meanX };
+  }
+
+  function slope(values) {
+    return regression(values).slope;
+  }
+
+  /**
+   * mean of every value with the ones before it, `window` of them at most
+   * @returns [mean] one per value
+   */
+  function rolling(data, window) {
+    return data.map((value, position) => {
+      return average(data.slice(Math.max(position + 1 - window, 0),
+                                position + 1));
+    });
+  }
+
+  /**
+   * positions of the values out of Tukey's fences
+   * @param factor [optional] times the interquartile range, 1.5 by default
+   */
+  function outliers(data, factor) {
+    factor = factor === undefined ? DEFAULTS.outlierFactor : factor;
+    // too few sprints to tell what is normal
+    if (data.length < 4) {
+      return [];
+    }
+    let q = quartiles(data);
+    let low = q.q1 - factor * q.iqr;
+    let high = q.q3 + factor * q.iqr;
+    return data.reduce((found, value, position) => {
+      return value < low || value > high ? found.concat(position) : found;
+    }, []);
+  }
+
+  /**
+   * everything the headline velocity needs
+   * @param data    [value] one per sprint, oldest first
+   * @param options [optional] see DEFAULTS
+   * @returns { mean, stdDev, median, q1, q3, iqr, used, outliers, trend,
+   *            rolling } `used` being the positions the numbers come from,
+   *          `outliers` the positions flagged, out of all the sprints,
+   *          `trend` the regression over all of them, and `rolling` the
+   *          mean over the window at every sprint (null without window)
+   */
+  function summary(data, options) {
+    options = Object.assign({}, DEFAULTS, options);
+    let flagged = outliers(data, options.outlierFactor);
+    let first = options.window ? Math.max(data.length - options.window, 0) : 0;
+    let used = data.map((value, position) => position).filter(position => {
+      return position >= first &&
+             !(options.excludeOutliers && flagged.indexOf(position) !== -1);
+    });
+    let values = used.map(position => data[position]);
+    let q = quartiles(values);
+    return {
+      mean: values.length ? average(values) : NaN,
+      stdDev: values.length ? stdDeviation(values) : NaN,
+      median: q.median,
+      q1: q.q1,
+      q3: q.q3,
+      iqr: q.iqr,
+      used: used,
+      outliers: flagged,
+      trend: regression(data),
+      rolling: options.window ? rolling(data, options.window) : null
+    };
+  }
+
+  /**
+   * Cleans the bug lists from not desired values.
+   * In this case, [Meta] bugs and trackers, see Classifier
+   * @param filteredRelease 3-pos-array with bug array inside, as
+   *        Bugziller's getRelease returns them
+   *        [0] - all solved bugs during the release.
+   *        [1] - all assigned bugs for the release.
+   *        [2] - bugs both assigned and solved during release.
+   * @param categories [optional] only keep the bugs of these categories,
+   *        e.g. ["regression"]
+   * @returns Promise with { solved, committed, completed }, each of them
+   *          as { metas, done, categories: { category: [bug] } }
+   */
+  function filterBugs(filteredRelease, categories) {
+    if (!filteredRelease || filteredRelease.length != 3) {
+      return Promise.reject(new Error('expected the solved, committed and ' +
+                                      'completed lists, got ' +
+                                      filteredRelease));
+    }
+
+    let classified = {};
+    filteredRelease.forEach((bugList, position) => {
+      if (categories && categories.length) {
+        bugList = bugList.filter(bug => {
+          return categories.indexOf(Classifier.classify(bug)) !== -1;
+        });
+      }
+      classified[BUCKETS[position]] = {
+        metas: bugList.filter(bug => Bugziller.isMeta(bug)),
+        done: bugList.filter(bug => !Bugziller.isMeta(bug)),
+        categories: Classifier.group(bugList)
+      };
+    });
+    return Promise.resolve(classified);
+  }
+
+  return {
+    BUCKETS: BUCKETS,
+    DEFAULTS: DEFAULTS,
+    average: average,
+    stdDeviation: stdDeviation,
+    percentile: percentile,
+    median: median,
+    quartiles: quartiles,
+    regression: regression,
+    slope: slope,
+    rolling: rolling,
+    outliers: outliers,
+    summary: summary,
+    filterBugs: filterBugs
+  };
+
+});
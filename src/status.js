@@ -0,0 +1,132 @@
+"use strict";
+
+/**
+ *  What is being loaded and what failed: a line in the header for every
+ *  load going on ("12/40 sprints loaded"), with a button to cancel them,
+ *  and a panel listing the loads that failed and why, with a button to
+ *  try them again.
+ *
+ *  Every load has its own AbortController: beginning a load with the name
+ *  of one still going on (another bug for the tree, another range...)
+ *  cancels the old one, which then fails quietly.
+ *
+ *  How to use:
+ *  let load = LoadStatus.begin("tree", "the tree of bug " + bug);
+ *  bugziller.withSignal(load.signal).getTree(bug)
+ *    .then(tree => load.done(), error => load.fail(error, () => show(bug)));
+ */
+var LoadStatus = (function(namespace) {
+  var UI = {
+    loads: document.getElementById('loads'),
+    cancel: document.getElementById('cancel-loads'),
+    panel: document.getElementById('load-errors'),
+    errors: document.querySelector('#load-errors ul'),
+    retry: document.querySelector('#load-errors .retry')
+  };
+
+  // name -> load going on
+  var loads = {};
+  // name -> { message, retry } of the ones that failed
+  var failures = {};
+
+  function render() {
+    let going = Object.keys(loads);
+    UI.loads.innerHTML = '';
+    going.forEach(name => {
+      let item = document.createElement('li');
+      item.textContent = loads[name].text;
+      UI.loads.appendChild(item);
+    });
+    UI.cancel.classList.toggle('nope', !going.length);
+
+    let failed = Object.keys(failures);
+    UI.errors.innerHTML = '';
+    failed.forEach(name => {
+      let item = document.createElement('li');
+      item.textContent = failures[name].message;
+      UI.errors.appendChild(item);
+    });
+    UI.panel.classList.toggle('nope', !failed.length);
+  }
+
+  /**
+   * @param name   what is loaded, a load of the same name still going on
+   *               is cancelled
+   * @param label  [optional] what to call it, `name` by default
+   * @returns load { signal, isCurrent(), progress(text), done(),
+   *          fail(error, retry) }
+   */
+  function begin(name, label) {
+    if (loads[name]) {
+      loads[name].controller.abort();
+    }
+    delete failures[name];
+    label = label || name;
+    let controller = new AbortController();
+    let load = {
+      controller: controller,
+      signal: controller.signal,
+      text: 'Loading ' + label + '...',
+      // false once another load took its name
+      isCurrent: () => loads[name] === load,
+      progress: text => {
+        if (load.isCurrent()) {
+          load.text = text;
+          render();
+        }
+      },
+      done: () => {
+        if (load.isCurrent()) {
+          delete loads[name];
+          render();
+        }
+      },
+      /**
+       * @param retry [optional] Function to try it again, with the
+       *              retry button
+       */
+      fail: (error, retry) => {
+        if (!load.isCurrent()) {
+          return;
+        }
+        delete loads[name];
+        failures[name] = {
+          message: 'Cannot load ' + label + ': ' +
+                   (Bugziller.isAborted(error) ? 'cancelled' : error.message),
+          retry: retry || null
+        };
+        render();
+      }
+    };
+    loads[name] = load;
+    render();
+    return load;
+  }
+
+  // cancels every load going on, they end up in the panel
+  function cancel() {
+    Object.keys(loads).forEach(name => loads[name].controller.abort());
+  }
+
+  // tries again every failed load that can be
+  function retry() {
+    let failed = failures;
+    failures = {};
+    render();
+    Object.keys(failed).forEach(name => {
+      if (failed[name].retry) {
+        failed[name].retry();
+      }
+    });
+  }
+
+  UI.cancel.addEventListener('click', cancel);
+  UI.retry.addEventListener('click', retry);
+
+  return {
+    begin: begin,
+    cancel: cancel,
+    retry: retry
+  };
+
+})(window);
@@ -0,0 +1,154 @@
+"use strict";
+
+/**
+ *  Who and what the velocity is made of: the solved bugs of every sprint
+ *  as stacked bars, split by component, assignee or any other field of
+ *  Breakdown's, plus a table with the throughput trend of every assignee.
+ *  Names can be swapped for aliases before sharing it outside the team.
+ *
+ *  Chart.js 1 has no stacked bars, so these are plain boxes sized with css.
+ *
+ *  How to use:
+ *  TeamView.show({
+ *    sprints: sprints, bugArrays: solvedPerSprint,
+ *    measure: bugs => bugs.length, options: config.breakdown
+ *  });
+ */
+var TeamView = (function(namespace) {
+  const COLORS = [
+    "rgba(50,150,200,0.8)",
+    "rgba(210,110,180,0.8)",
+    "rgba(100,180,90,0.8)",
+    "rgba(200,150,50,0.8)",
+    "rgba(150,100,200,0.8)",
+    "rgba(200,80,80,0.8)",
+    "rgba(60,170,170,0.8)",
+    "rgba(150,150,150,0.8)"
+  ];
+  // sprints in the trend table, older ones are only in the mean
+  const TABLE_SPRINTS = 6;
+
+  var UI = {
+    groupBy: document.getElementById('group-by'),
+    anonymize: document.getElementById('anonymize'),
+    legend: document.getElementById('team-legend'),
+    chart: document.getElementById('team-chart'),
+    head: document.querySelector('#team-table thead tr'),
+    table: document.querySelector('#team-table tbody')
+  };
+
+  // last thing shown, to redraw it when the controls change
+  var shown = null;
+
+  var element = View.element;
+
+  function fillGroupBy(options) {
+    if (UI.groupBy.options.length) {
+      return;
+    }
+    let fields = Object.assign({}, Breakdown.DEFAULTS, options).fields;
+    Breakdown.fields(options).forEach(field => {
+      let option = element('option', null, field.replace(/_/g, ' '));
+      option.value = field;
+      UI.groupBy.appendChild(option);
+    });
+    UI.groupBy.value = fields[0];
+  }
+
+  // identity unless names are being hidden
+  function namer(aliases, field, options) {
+    if (!UI.anonymize.checked || !Breakdown.isPrivate(field, options)) {
+      return name => name;
+    }
+    return name => aliases[name] || name;
+  }
+
+  function drawChart(data, aliases) {
+    let field = UI.groupBy.value;
+    let groups = Breakdown.group(data.bugArrays, field, data.measure,
+                                 data.options);
+    let name = namer(aliases, field, data.options);
+    let color = key => COLORS[groups.keys.indexOf(key) % COLORS.length];
+
+    View.legend(UI.legend, groups.keys.map(key => {
+      return { label: name(key), color: color(key) };
+    }));
+
+    let max = Math.max.apply(null, data.bugArrays.map((bugs, position) => {
+      return groups.keys.reduce((sum, key) => {
+        return sum + groups.series[key][position];
+      }, 0);
+    }).concat(1));
+    UI.chart.innerHTML = '';
+    data.sprints.forEach((sprint, position) => {
+      let column = element('div', 'column');
+      let bar = element('div', 'bar');
+      groups.keys.forEach(key => {
+        let value = groups.series[key][position];
+        if (!value) {
+          return;
+        }
+        let segment = element('div', 'segment');
+        segment.style.height = (100 * value / max) + '%';
+        segment.style.backgroundColor = color(key);
+        segment.title = name(key) + ': ' + value;
+        bar.appendChild(segment);
+      });
+      column.appendChild(bar);
+      column.appendChild(element('span', 'label',
+                                 SprintCalendar.label(sprint)));
+      UI.chart.appendChild(column);
+    });
+  }
+
+  function trendText(slope) {
+    let arrow = slope > 0.05 ? '↗' : (slope < -0.05 ? '↘' : '→');
+    return arrow + ' ' + (slope > 0 ? '+' : '') +
+           parseFloat(slope).toFixed(1) + ' / sprint';
+  }
+
+  function drawTable(data, trends, aliases) {
+    let name = namer(aliases, "assigned_to", data.options);
+    let recent = data.sprints.slice(-TABLE_SPRINTS);
+
+    UI.head.innerHTML = '';
+    let titles = ['Assignee'].concat(recent.map(SprintCalendar.label),
+                                     ['Mean', 'Trend']);
+    titles.forEach(title => UI.head.appendChild(element('th', null, title)));
+    UI.table.innerHTML = '';
+    trends.forEach(trend => {
+      let row = element('tr');
+      row.appendChild(element('td', null, name(trend.name)));
+      trend.values.slice(-TABLE_SPRINTS).forEach(value => {
+        row.appendChild(element('td', null, value));
+      });
+      row.appendChild(element('td', null, parseFloat(trend.mean).toFixed(1)));
+      row.appendChild(element('td', null, trendText(trend.slope)));
+      UI.table.appendChild(row);
+    });
+  }
+
+  /**
+   * @param data { sprints, bugArrays, measure, options }
+   *             measure is Function([bug]) -> Number, options the
+   *             `breakdown` config
+   */
+  function show(data) {
+    shown = data;
+    fillGroupBy(data.options);
+    let trends = Breakdown.trends(data.bugArrays, data.measure, data.options);
+    // the same person is the same alias in the chart and in the table
+    let aliases = Breakdown.anonymize(trends.map(trend => trend.name));
+    drawChart(data, aliases);
+    drawTable(data, trends, aliases);
+  }
+
+  [UI.groupBy, UI.anonymize].forEach(control => {
+    control.addEventListener('change', () => shown && show(shown));
+  });
+
+  return {
+    show: show
+  };
+
+})(window);
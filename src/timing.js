@@ -0,0 +1,148 @@
+"use strict";
+
+/**
+ *  How long the solved bugs of every sprint took, out of their history:
+ *  a table with the medians and percentiles of every sprint, and a control
+ *  chart with one point per bug, the median of its sprint, and the limits
+ *  (mean ± 3σ) a bug out of them is worth a look.
+ *  [meta] bugs are left out, their time is the time of their dependencies.
+ *
+ *  How to use:
+ *  TimingView.show(bugziller, sprints, solvedPerSprint);
+ */
+var TimingView = (function(namespace) {
+  const SERIES = [
+    { label: "bugs", color: "rgba(50,150,200,1)", points: true },
+    { label: "sprint median", color: "rgba(210,110,180,1)" },
+    { label: "mean", color: "rgba(100,180,90,1)" },
+    { label: "upper limit", color: "rgba(200,80,80,1)" }
+  ];
+
+  var UI = {
+    status: document.getElementById('timing-status'),
+    time: document.getElementById('time'),
+    canvas: document.getElementById('timing-graph'),
+    legend: document.getElementById('timing-legend'),
+    table: document.querySelector('#timing-table tbody')
+  };
+
+  var chart = null;
+  // what the last show() got, to redraw it when the time changes
+  var shown = null;
+
+  function cell(row, text) {
+    let td = document.createElement('td');
+    td.textContent = text;
+    row.appendChild(td);
+  }
+
+  function daysText(value) {
+    return isNaN(value) ? '-' : parseFloat(value).toFixed(1);
+  }
+
+  function printTable(sprints, timesPerSprint) {
+    UI.table.innerHTML = '';
+    sprints.forEach((sprint, position) => {
+      let summary = CycleTime.summarize(timesPerSprint[position]);
+      let row = document.createElement('tr');
+      cell(row, SprintCalendar.label(sprint));
+      cell(row, summary.count);
+      CycleTime.TIMES.forEach(name => {
+        cell(row, CycleTime.PERCENTILES.map(percentile => {
+          return daysText(summary[name][percentile]);
+        }).join(' / '));
+      });
+      cell(row, summary.reopens);
+      UI.table.appendChild(row);
+    });
+  }
+
+  /**
+   * a point per bug, in sprint order, with the sprint label on the first
+   * one of every sprint. Chart.js 1 has no scatter, so it is a line chart
+   * whose first line is invisible.
+   */
+  function drawChart(sprints, timesPerSprint, name) {
+    let labels = [];
+    let points = [];
+    let medians = [];
+    sprints.forEach((sprint, position) => {
+      let values = timesPerSprint[position].map(time => time[name])
+                                           .filter(value => value !== null);
+      let median = Stats.median(values);
+      values.forEach((value, index) => {
+        labels.push(index ? '' : SprintCalendar.label(sprint));
+        points.push(value);
+        medians.push(median);
+      });
+    });
+    let limits = CycleTime.controlLimits(points);
+    let data = [points, medians,
+                points.map(() => limits.mean),
+                points.map(() => limits.upper)];
+
+    if (chart) {
+      chart.destroy();
+    }
+    chart = new Chart(UI.canvas.getContext("2d")).Line({
+      labels: labels,
+      datasets: SERIES.map((serie, position) => ({
+        label: serie.label,
+        fillColor: "rgba(0,0,0,0)",
+        strokeColor: serie.points ? "rgba(0,0,0,0)" : serie.color,
+        pointColor: serie.points ? serie.color : "rgba(0,0,0,0)",
+        pointStrokeColor: "rgba(0,0,0,0)",
+        data: data[position]
+      }))
+    }, {
+      maintainAspectRatio: true,
+      responsive: true,
+      bezierCurve: false,
+      animationSteps: 15
+    });
+  }
+
+  function draw() {
+    printTable(shown.sprints, shown.timesPerSprint);
+    drawChart(shown.sprints, shown.timesPerSprint, UI.time.value);
+    View.legend(UI.legend, SERIES);
+  }
+
+  /**
+   * @param bugziller  Bugziller instance, its backend needs getHistory
+   * @param sprints    the sprints, as SprintCalendar.build gives them
+   * @param bugArrays  [[bug]] solved on every sprint, as getVelocity gives
+   *                   them back
+   * @returns Promise, resolved once everything is drawn
+   */
+  function show(bugziller, sprints, bugArrays) {
+    let solved = bugArrays.map(bugs => {
+      return Accounting.split(bugs).counted.filter(bug => {
+        return !Bugziller.isMeta(bug);
+      });
+    });
+    let ids = [].concat.apply([], solved).map(bug => bug.id);
+    UI.status.textContent = 'Reading the history of ' + ids.length +
+                            ' bugs...';
+    return bugziller.getHistory(ids).then(histories => {
+      shown = {
+        sprints: sprints,
+        timesPerSprint: solved.map(bugs => {
+          return CycleTime.measureAll(bugs, histories);
+        })
+      };
+      UI.status.textContent = '';
+      draw();
+    }).catch(error => {
+      UI.status.textContent = 'Cannot tell how long bugs took: ' +
+                              error.message;
+    });
+  }
+
+  UI.time.addEventListener('change', () => shown && draw());
+
+  return {
+    show: show
+  };
+
+})(window);
@@ -0,0 +1,189 @@
+"use strict";
+
+/**
+ *  Dependency tree of a tracking bug, as nested collapsible lists.
+ *  Every bug is coloured by its state (meta, fixed, closed without a fix,
+ *  open) and links to the tracker, and every meta (and the tracking bug)
+ *  shows how much of the work under it is done: closed non-meta bugs out
+ *  of all the non-meta bugs below it, each one counted once however many
+ *  paths lead to it.
+ *
+ *  How to use:
+ *  TreeView.show(bugziller, 1248602).then(tree => {
+ *    // tree as Crawler gives it back
+ *  });
+ */
+var TreeView = (function(namespace) {
+  // levels open from the start, deeper ones are collapsed
+  const OPEN_LEVELS = 2;
+
+  var UI = {
+    tree: document.getElementById('tree'),
+    status: document.getElementById('tree-status')
+  };
+
+  function state(bug) {
+    if (Bugziller.isMeta(bug)) {
+      return 'meta';
+    }
+    if (Bugziller.isFixed(bug)) {
+      return 'fixed';
+    }
+    return Bugziller.isClosed(bug) ? 'closed' : 'open';
+  }
+
+  /**
+   * done and total of the non-meta bugs below every bug of the tree
+   * @param tree as Crawler.crawl gives it back, without cycles
+   * @returns { id: { done, total } }
+   */
+  function rollup(tree) {
+    let below = {};
+    // { id: true } of the non-meta bugs under `id`
+    function work(id) {
+      if (below[id]) {
+        return below[id];
+      }
+      below[id] = {};
+      (tree.children[id] || []).forEach(child => {
+        let bug = tree.bugs[String(child)];
+        if (bug && !Bugziller.isMeta(bug)) {
+          below[id][String(child)] = true;
+        }
+        Object.assign(below[id], work(String(child)));
+      });
+      return below[id];
+    }
+
+    let totals = {};
+    Object.keys(tree.bugs).forEach(id => {
+      let ids = Object.keys(work(id));
+      totals[id] = {
+        done: ids.filter(id => Bugziller.isClosed(tree.bugs[id])).length,
+        total: ids.length
+      };
+    });
+    return totals;
+  }
+
+  function percent(progress) {
+    return Math.round(100 * progress.done / progress.total) + '% done (' +
+           progress.done + '/' + progress.total + ')';
+  }
+
+  var element = View.element;
+
+  // "Bug 123 - summary", linked to the tracker when we know where
+  function label(bugziller, bug) {
+    let title = element('span', 'bug');
+    let url = bugziller.bugUrl(bug);
+    let id = url ? element('a', null, 'Bug ' + bug.id) :
+                   element('span', null, 'Bug ' + bug.id);
+    if (url) {
+      id.href = url;
+      id.target = '_blank';
+    }
+    title.appendChild(id);
+    title.appendChild(document.createTextNode(' - ' + bug.summary));
+    return title;
+  }
+
+  function node(bugziller, tree, progress, id, depth) {
+    let item = element('li');
+    let bug = tree.bugs[String(id)];
+    if (!bug) {
+      item.className = 'missing';
+      item.textContent = 'Bug ' + id + ' - not found, or not visible';
+      return item;
+    }
+    item.className = state(bug);
+
+    let children = tree.children[String(id)] || [];
+    let cycles = tree.cycles.filter(cycle => String(cycle[0]) === String(id));
+    let title = label(bugziller, bug);
+    // the tracking bug itself may not say [meta], but it is one
+    if ((Bugziller.isMeta(bug) || !depth) && progress[String(id)].total) {
+      title.appendChild(element('span', 'progress',
+                                percent(progress[String(id)])));
+    }
+    if (!children.length && !cycles.length) {
+      item.appendChild(title);
+      return item;
+    }
+
+    // <details> does the collapsing for us
+    let details = element('details');
+    details.open = depth < OPEN_LEVELS;
+    let summary = element('summary');
+    summary.appendChild(title);
+    details.appendChild(summary);
+    let list = element('ul');
+    children.forEach(child => {
+      list.appendChild(node(bugziller, tree, progress, child, depth + 1));
+    });
+    cycles.forEach(cycle => {
+      list.appendChild(element('li', 'cycle',
+                               'Bug ' + cycle[1] + ' - depends back on ' +
+                               'its ancestor, not followed'));
+    });
+    details.appendChild(list);
+    item.appendChild(details);
+    return item;
+  }
+
+  function render(bugziller, tree) {
+    let progress = rollup(tree);
+    let isChild = {};
+    Object.keys(tree.children).forEach(parent => {
+      tree.children[parent].forEach(child => isChild[String(child)] = true);
+    });
+    // missing roots too, the other missing bugs show up under their parents
+    let roots = tree.roots.concat(tree.missing.filter(id => {
+      return !isChild[String(id)];
+    }));
+    UI.tree.innerHTML = '';
+    roots.forEach(id => {
+      UI.tree.appendChild(node(bugziller, tree, progress, id, 0));
+    });
+  }
+
+  /**
+   * crawls and shows the tree of a bug
+   * @param bugziller  Bugziller instance
+   * @param bug        id of the tracking bug
+   * @returns Promise with the tree
+   */
+  function show(bugziller, bug) {
+    // asking for another bug cancels the one before
+    let load = LoadStatus.begin('tree', 'the tree of bug ' + bug);
+    UI.status.textContent = 'Looking at bug ' + bug + '...';
+    UI.tree.innerHTML = '';
+    return bugziller.withSignal(load.signal).getTree(bug).then(tree => {
+      if (!load.isCurrent()) {
+        return tree;
+      }
+      render(bugziller, tree);
+      let count = Object.keys(tree.bugs).length;
+      UI.status.textContent = count + ' bugs' +
+                              (tree.cycles.length ?
+                               ', ' + tree.cycles.length + ' cycles' : '') +
+                              (tree.missing.length ?
+                               ', ' + tree.missing.length + ' not found' : '');
+      return tree;
+    }).catch(error => {
+      if (load.isCurrent()) {
+        UI.status.textContent = 'Cannot show the tree: ' +
+          (Bugziller.isAborted(error) ? 'cancelled' : error.message);
+      }
+    }).then(tree => {
+      load.done();
+      return tree;
+    });
+  }
+
+  return {
+    rollup: rollup,
+    show: show
+  };
+
+})(window);
@@ -0,0 +1,53 @@
+"use strict";
+
+/**
+ *  DOM bits every tab draws the same way: elements with a class and a
+ *  text, and the legends of the charts Chart.js can't make one for.
+ *
+ *  How to use:
+ *  let row = View.element('tr', 'outlier');
+ *  row.appendChild(View.element('td', null, 'Sprint 1'));
+ *  View.legend(UI.legend, [{ label: "fixed", color: "rgba(100,180,90,1)" }]);
+ */
+var View = (function(namespace) {
+
+  /**
+   * @param className [optional] null for none
+   * @param text      [optional] its text content
+   */
+  function element(tag, className, text) {
+    let node = document.createElement(tag);
+    if (className) {
+      node.className = className;
+    }
+    if (text !== undefined) {
+      node.textContent = text;
+    }
+    return node;
+  }
+
+  /**
+   * a swatch and a label per series, in place of what `container` had
+   * (points and lines hide their color in different places, so by hand)
+   * @param series [{ label, color }]
+   */
+  function legend(container, series) {
+    let list = element('ul');
+    series.forEach(serie => {
+      let item = element('li');
+      let swatch = element('span');
+      swatch.style.backgroundColor = serie.color;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(serie.label));
+      list.appendChild(item);
+    });
+    container.innerHTML = '';
+    container.appendChild(list);
+  }
+
+  return {
+    element: element,
+    legend: legend
+  };
+
+})(window);
@@ -0,0 +1,110 @@
+"use strict";
+
+/**
+ *  Story points for bugs, so a typo fix doesn't weigh as much as a
+ *  week-long feature.
+ *
+ *  options (the `weights` key of the config), tried in this order:
+ *    field       numeric bug field with the points, e.g. "cf_fx_points"
+ *    whiteboard  regexp with the points in its first group, looked for in
+ *                the whiteboard. true means [points=3]
+ *    map         { field, values } to turn another field into points,
+ *                e.g. { field: "severity", values: { critical: 8, ... } }
+ *  Bugs none of them gives a number for are "unweighted".
+ *
+ *  How to use:
+ *  let total = Weights.sum(bugs, { field: "cf_fx_points", whiteboard: true });
+ *  total.points;       // sum of the weighted ones
+ *  total.unweighted;   // [bug] that had no points
+ */
+(function(namespace, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    namespace.Weights = factory();
+  }
+})(this, function() {
+  const DEFAULTS = {
+    field: "cf_fx_points",
+    whiteboard: true,
+    map: null
+  };
+  const WHITEBOARD_FIELD = "whiteboard";
+  const POINTS_TAG = /\[points?[=:]\s*(\d+(?:\.\d+)?)\]/i;
+
+  // "---", "" or "?" are what bugzilla has when nobody estimated it
+  function toPoints(value) {
+    let points = parseFloat(value);
+    return isNaN(points) || points < 0 ? null : points;
+  }
+
+  function whiteboardPattern(options) {
+    if (!options.whiteboard) {
+      return null;
+    }
+    return options.whiteboard === true ? POINTS_TAG :
+                                         new RegExp(options.whiteboard, 'i');
+  }
+
+  // bug fields the tracker has to give for weigh() to work
+  function fields(options) {
+    options = Object.assign({}, DEFAULTS, options);
+    let needed = [];
+    if (options.field) {
+      needed.push(options.field);
+    }
+    if (options.whiteboard) {
+      needed.push(WHITEBOARD_FIELD);
+    }
+    if (options.map && options.map.field) {
+      needed.push(options.map.field);
+    }
+    return needed;
+  }
+
+  /**
+   * @returns points of the bug, or null if it has none
+   */
+  function weigh(bug, options) {
+    options = Object.assign({}, DEFAULTS, options);
+    if (options.field && toPoints(bug[options.field]) !== null) {
+      return toPoints(bug[options.field]);
+    }
+    let pattern = whiteboardPattern(options);
+    let tag = pattern && pattern.exec(bug[WHITEBOARD_FIELD] || "");
+    if (tag && toPoints(tag[1]) !== null) {
+      return toPoints(tag[1]);
+    }
+    let map = options.map;
+    if (map && map.field && map.values &&
+        map.values.hasOwnProperty(bug[map.field])) {
+      return toPoints(map.values[bug[map.field]]);
+    }
+    return null;
+  }
+
+  /**
+   * @returns { points, weighted: [bug], unweighted: [bug] }
+   */
+  function sum(bugs, options) {
+    let total = { points: 0, weighted: [], unweighted: [] };
+    bugs.forEach(bug => {
+      let points = weigh(bug, options);
+      if (points === null) {
+        total.unweighted.push(bug);
+      } else {
+        total.points += points;
+        total.weighted.push(bug);
+      }
+    });
+    return total;
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    fields: fields,
+    weigh: weigh,
+    sum: sum
+  };
+
+});
@@ -0,0 +1,75 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Accounting = require("../src/accounting.js");
+
+const START = "2016-01-04";
+const END = "2016-01-11";
+
+// a history entry changing the resolution
+function change(when, removed, added) {
+  return { when: when + "T10:00:00Z", who: "someone",
+           changes: [{ field_name: "resolution", removed: removed,
+                       added: added }] };
+}
+
+const count = (bug, history, options) => {
+  return Accounting.measure(Accounting.entries(bug, history, START, END,
+                                               options),
+                            bugs => bugs.length);
+};
+
+test("every fix counts in the sprint it happened", () => {
+  let bug = { id: 1, resolution: "FIXED" };
+  let history = [change("2016-01-05", "", "FIXED"),
+                 change("2016-01-06", "FIXED", ""),
+                 change("2016-01-08", "", "FIXED"),
+                 change("2016-01-11", "FIXED", "")];
+  assert.strictEqual(count(bug, history, { rule: "every" }), 2);
+  // the end is the first day of the next sprint
+  assert.strictEqual(count(bug, [change("2016-01-11", "", "FIXED")],
+                           { rule: "every" }), 0);
+  let triage = { rule: "every", resolutions: ["FIXED", "WONTFIX"] };
+  assert.strictEqual(count({ id: 2, resolution: "WONTFIX" },
+                           [change("2016-01-05", "", "WONTFIX")], triage), 1);
+});
+
+test("final counts the last fix only, if it is still solved", () => {
+  let history = [change("2016-01-05", "", "FIXED"),
+                 change("2016-01-06", "FIXED", ""),
+                 change("2016-01-08", "", "FIXED")];
+  assert.strictEqual(count({ id: 1, resolution: "FIXED" }, history,
+                           { rule: "final" }), 1);
+  // fixed again in a later sprint: it counts there, not here
+  let later = history.concat(change("2016-01-09", "FIXED", ""),
+                             change("2016-01-15", "", "FIXED"));
+  assert.strictEqual(count({ id: 1, resolution: "FIXED" }, later,
+                           { rule: "final" }), 0);
+});
+
+test("final doesn't count a bug reopened after the sprint", () => {
+  // as a cached range answer from back when it was fixed has it
+  let bug = { id: 1, resolution: "FIXED" };
+  let history = [change("2016-01-05", "", "FIXED"),
+                 change("2016-02-20", "FIXED", "")];
+  assert.strictEqual(count(bug, history, { rule: "final" }), 0);
+  assert.strictEqual(count(bug, history, { rule: "every" }), 1);
+});
+
+test("net takes reopens away from the sprint they happened", () => {
+  let bug = { id: 1, resolution: "" };
+  let history = [change("2016-01-05", "", "FIXED"),
+                 change("2016-01-06", "FIXED", ""),
+                 change("2016-01-08", "", "FIXED"),
+                 change("2016-01-09", "FIXED", "")];
+  let entries = Accounting.entries(bug, history, START, END, { rule: "net" });
+  assert.strictEqual(Accounting.split(entries).reopened.length, 2);
+  assert.strictEqual(count(bug, history, { rule: "net" }), 0);
+  // fixed before the sprint, reopened in it
+  assert.strictEqual(count(bug, [change("2015-12-20", "", "FIXED"),
+                                 change("2016-01-07", "FIXED", "")],
+                           { rule: "net" }), -1);
+  assert.throws(() => count(bug, history, { rule: "some" }),
+                /unknown accounting rule: some/);
+});
@@ -0,0 +1,55 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Breakdown = require("../src/breakdown.js");
+
+const count = bugs => bugs.length;
+const bug = (component, assignee) => ({ component: component,
+                                        assigned_to: assignee });
+
+test("sprints are split by a field, biggest groups first", () => {
+  let sprints = [
+    [bug("Client", "ana"), bug("Server", "bo"), bug("Client", "ana")],
+    [bug("Server", "bo"), bug("Server", "ana"), bug("Server", "bo")],
+    [bug(["UI", "Client"], "nobody@mozilla.org"), bug("", "bo")]
+  ];
+  let groups = Breakdown.group(sprints, "component", count);
+  assert.deepStrictEqual(groups.keys, ["Server", "Client", "UI, Client",
+                                       "(none)"]);
+  assert.deepStrictEqual(groups.series.Server, [1, 3, 0]);
+  assert.deepStrictEqual(groups.series.Client, [2, 0, 0]);
+  assert.deepStrictEqual(groups.series["(none)"], [0, 0, 1]);
+  let people = Breakdown.group(sprints, "assigned_to", count);
+  assert.deepStrictEqual(people.totals, { ana: 3, bo: 4, "(none)": 1 });
+});
+
+test("past `top`, the smaller groups go together as others", () => {
+  let sprints = [
+    ["A", "A", "A", "B", "B", "C", "D"].map(name => bug(name)),
+    ["A", "D", "E"].map(name => bug(name))
+  ];
+  let groups = Breakdown.group(sprints, "component", count, { top: 3 });
+  assert.deepStrictEqual(groups.keys, ["A", "B", "others"]);
+  assert.deepStrictEqual(groups.series.others, [2, 2]);
+  assert.strictEqual(groups.totals.others, 4);
+  // as many as `top` fit without an others
+  assert.deepStrictEqual(Breakdown.group(sprints, "component", count,
+                                         { top: 5 }).keys,
+                         ["A", "B", "D", "C", "E"]);
+});
+
+test("assignees have their trend, and aliases to share them", () => {
+  let sprints = [[bug("x", "ana")],
+                 [bug("x", "ana"), bug("x", "bo")],
+                 [bug("x", "ana"), bug("x", "bo"), bug("x", "bo")]];
+  let trends = Breakdown.trends(sprints, count);
+  assert.deepStrictEqual(trends.map(trend => trend.name), ["ana", "bo"]);
+  assert.deepStrictEqual(trends[1].values, [0, 1, 2]);
+  assert.strictEqual(trends[1].slope, 1);
+  assert.strictEqual(trends[0].slope, 0);
+  assert.deepStrictEqual(Breakdown.anonymize(["bo", "(none)", "ana", "bo",
+                                              "others"]),
+                         { bo: "person 1", "(none)": "(none)",
+                           ana: "person 2", others: "others" });
+});
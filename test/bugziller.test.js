@@ -0,0 +1,202 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const childProcess = require("child_process");
+const path = require("path");
+const Clock = require("./helpers/clock.js");
+const MockServer = require("./helpers/server.js");
+const velocity = require("../index.js");
+
+const Bugziller = velocity.Bugziller;
+const Stats = velocity.Stats;
+const CALENDAR = { start: "2016-01-04", length: 7 };
+// the fifth sprint of the fixtures, 2016-02-01 to 2016-02-08, is going on
+const TODAY = "2016-02-03T12:00:00Z";
+
+var server = null;
+
+test.before(() => {
+  return MockServer.start(MockServer.load("bugzilla")).then(started => {
+    server = started;
+  });
+});
+
+test.after(() => server.close());
+
+test.afterEach(() => {
+  assert.deepStrictEqual(server.unmatched, [], "requests with no recording");
+});
+
+function sprints() {
+  return velocity.SprintCalendar.build(CALENDAR);
+}
+
+function create(config) {
+  return Bugziller.create(Object.assign({ url: server.url, cache: false },
+                                        config));
+}
+
+const ids = bugs => bugs.map(bug => bug.id);
+
+test("solved bugs come per sprint, in sprint order", t => {
+  t.after(Clock.freeze(TODAY));
+  let asked = server.requests.length;
+  let seen = [];
+  return create().getVelocity(sprints(), (sprint, bugs, position) => {
+    seen.push(position + ":" + sprint.end);
+  }).then(bugArrays => {
+    assert.deepStrictEqual(bugArrays.map(ids), [[101, 102, 103],
+                                                [104, 105, 106],
+                                                [],
+                                                [107, 108, 109, 110],
+                                                [111]]);
+    assert.deepStrictEqual(seen, ["0:2016-01-11", "1:2016-01-18",
+                                  "2:2016-01-25", "3:2016-02-01",
+                                  "4:2016-02-08"]);
+    // one query per sprint, none asked twice
+    assert.strictEqual(server.requests.length - asked, 5);
+  });
+});
+
+test("a sprint failing doesn't stop the others", t => {
+  t.after(Clock.freeze(TODAY));
+  let recordings = [{
+    request: "/rest/bug?f1=resolution&o1=changedafter&v1=2016-01-18" +
+             "&f2=resolution&o2=changedbefore&v2=2016-01-25" +
+             "&f3=resolution&o3=changedto&v3=fixed",
+    status: 503,
+    response: { error: true, message: "Service Unavailable" }
+  }].concat(MockServer.load("bugzilla"));
+  let progress = [];
+  let drawn = [];
+  return MockServer.start(recordings).then(failing => {
+    let bugziller = Bugziller.create({ url: failing.url, cache: false });
+    return bugziller.getVelocity(sprints(), (sprint, bugs, position) => {
+      drawn.push(position);
+    }, (loaded, total) => progress.push(loaded + "/" + total))
+    .then(() => assert.fail("it should have failed"), error => {
+      assert.deepStrictEqual(error.failures.map(failure => {
+        return failure.sprint.start;
+      }), ["2016-01-18"]);
+      assert.match(error.message, /^1 of 5 sprints failed: 2016-01-18/);
+      // every other sprint was asked, the ones before drawn
+      assert.strictEqual(failing.requests.length, 5);
+      assert.deepStrictEqual(drawn, [0, 1]);
+      assert.deepStrictEqual(progress, ["1/5", "2/5", "3/5", "4/5"]);
+    })
+    .then(() => failing.close());
+  });
+});
+
+test("cancelled queries fail as aborted", t => {
+  t.after(Clock.freeze(TODAY));
+  let controller = new AbortController();
+  let bugziller = create().withSignal(controller.signal);
+  let loading = bugziller.getVelocity(sprints());
+  controller.abort();
+  return loading.then(() => assert.fail("it should have been cancelled"),
+                      error => assert.ok(Bugziller.isAborted(error)));
+});
+
+test("metas are told apart, even one after the other", () => {
+  return create().getRange("2016-01-11", "2016-01-18").then(lists => {
+    return Stats.filterBugs(lists);
+  }).then(classified => {
+    assert.deepStrictEqual(ids(classified.solved.metas), [104, 105]);
+    assert.deepStrictEqual(ids(classified.solved.done), [106]);
+    assert.deepStrictEqual(ids(classified.committed.done), [106]);
+    assert.deepStrictEqual(ids(classified.completed.done), [106]);
+    // only a [meta] or (meta) tag makes a meta
+    assert.ok(!Bugziller.isMeta({ summary: "Metadata is lost on reload" }));
+  });
+});
+
+test("velocity and deviation of the non-meta bugs solved", t => {
+  t.after(Clock.freeze(TODAY));
+  return create().getVelocity(sprints()).then(bugArrays => {
+    let solved = bugArrays.map(bugs => {
+      return bugs.filter(bug => !Bugziller.isMeta(bug)).length;
+    });
+    assert.deepStrictEqual(solved, [2, 1, 0, 4, 1]);
+    assert.strictEqual(Stats.average(solved), 1.6);
+    assert.ok(Math.abs(Stats.stdDeviation(solved) - Math.sqrt(1.84)) < 1e-9);
+    assert.strictEqual(Stats.summary(solved).median, 1);
+  });
+});
+
+test("dependency trees are crawled level by level", () => {
+  let asked = server.requests.length;
+  return create().getTree(1000).then(tree => {
+    assert.deepStrictEqual(tree.roots, [1000]);
+    assert.deepStrictEqual(Object.keys(tree.bugs).sort(),
+                           ["1000", "1001", "1002", "1003"]);
+    assert.deepStrictEqual(tree.cycles, [[1001, 1000]]);
+    assert.deepStrictEqual(tree.missing.map(String), ["1004"]);
+    // 1003 is reached twice but asked once
+    assert.strictEqual(server.requests.length - asked, 3);
+  });
+});
+
+test("sprints that are over are cached, the one going on expires", t => {
+  let restore = Clock.freeze(TODAY);
+  t.after(() => restore());
+  velocity.QueryCache.clear();
+  let bugziller = create({ cache: true });
+  let asked = server.requests.length;
+  return bugziller.getVelocity(sprints()).then(() => {
+    assert.strictEqual(server.requests.length - asked, 5);
+    return bugziller.getVelocity(sprints());
+  }).then(() => {
+    assert.strictEqual(server.requests.length - asked, 5);
+    restore();
+    restore = Clock.freeze("2016-02-03T12:20:00Z");
+    return bugziller.getVelocity(sprints());
+  }).then(() => {
+    assert.strictEqual(server.requests.length - asked, 6);
+    assert.match(server.requests[server.requests.length - 1],
+                 /v1=2016-02-01/);
+    velocity.QueryCache.clear();
+  });
+});
+
+// stdout of loop-velocity sprints against the fixtures
+function cli(options) {
+  let bin = path.join(__dirname, "..", "bin", "loop-velocity.js");
+  let args = [bin, "sprints", "--url", server.url,
+              "--sprint-start", "2016-01-04", "--sprint-length", "7",
+              "--to", "2016-02-03"].concat(options);
+  return new Promise((resolve, reject) => {
+    childProcess.execFile(process.execPath, args, { timeout: 10000 },
+                          (error, stdout) => {
+                            return error ? reject(error) : resolve(stdout);
+                          });
+  });
+}
+
+test("the command line prints every sprint with mean and deviation", () => {
+  return cli(["--format", "json"]).then(stdout => {
+    let report = JSON.parse(stdout);
+    assert.deepStrictEqual(report.sprints.map(row => {
+      return [row.end, row.solved, row.committed, row.completed];
+    }), [["2016-01-11", 3, 2, 1],
+         ["2016-01-18", 3, 1, 1],
+         ["2016-01-25", 0, 1, 0],
+         ["2016-02-01", 4, 2, 2],
+         ["2016-02-08", 1, 2, 1]]);
+    assert.strictEqual(report.summary.solved.mean, 2.2);
+    assert.strictEqual(report.summary.committed.mean, 1.6);
+    assert.strictEqual(report.summary.completed.mean, 1);
+    assert.ok(Math.abs(report.summary.solved.deviation -
+                       Math.sqrt(2.16)) < 1e-9);
+  });
+});
+
+test("the command line prints CSV when no format is given", () => {
+  return cli([]).then(stdout => {
+    let lines = stdout.trim().split("\n");
+    assert.strictEqual(lines[0], "sprint,start,end,solved,committed,completed");
+    assert.strictEqual(lines.length, 1 + 5 + 2);
+    assert.match(lines[lines.length - 2], /^mean,,,2\.20,1\.60,1\.00$/);
+  });
+});
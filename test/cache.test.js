@@ -0,0 +1,92 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Clock = require("./helpers/clock.js");
+const QueryCache = require("../src/cache.js");
+
+const HOUR = 60 * 60 * 1000;
+
+// localStorage holding `room` characters at most, throwing like it past it
+function storage(room) {
+  let items = {};
+  let used = () => Object.keys(items).reduce((sum, name) => {
+    return sum + name.length + items[name].length;
+  }, 0);
+  return {
+    items: items,
+    get length() {
+      return Object.keys(items).length;
+    },
+    key: position => Object.keys(items)[position],
+    getItem: name => items.hasOwnProperty(name) ? items[name] : null,
+    setItem: (name, value) => {
+      let before = items[name];
+      items[name] = String(value);
+      if (used() > room) {
+        if (before === undefined) {
+          delete items[name];
+        } else {
+          items[name] = before;
+        }
+        throw new Error("QuotaExceededError");
+      }
+    },
+    removeItem: name => delete items[name]
+  };
+}
+
+const key = name => QueryCache.key({ url: "https://bugzilla.test" }, name);
+const stored = local => Object.keys(local.items).map(name => {
+  return JSON.parse(name.slice(name.indexOf(":") + 1))[1];
+}).sort();
+
+test.afterEach(() => QueryCache.useStorage(null));
+
+test("a full storage makes room taking the oldest entries out", t => {
+  let local = storage(520);
+  QueryCache.useStorage(local);
+  t.mock.method(console, "warn");
+  let restore = () => {};
+  let at = when => {
+    restore();
+    restore = Clock.freeze(when);
+  };
+  t.after(() => restore());
+  at("2016-02-01T10:00:00Z");
+  QueryCache.set(key("first"), "x".repeat(50), QueryCache.FOREVER);
+  at("2016-02-01T11:00:00Z");
+  QueryCache.set(key("second"), "x".repeat(50), QueryCache.FOREVER);
+  at("2016-02-01T12:00:00Z");
+  QueryCache.set(key("going on"), "x".repeat(50), HOUR);
+  at("2016-02-01T14:00:00Z");
+  assert.deepStrictEqual(stored(local), ["first", "going on", "second"]);
+
+  // the expired one goes first, even if it is the newest
+  QueryCache.set(key("third"), "x".repeat(50), QueryCache.FOREVER);
+  assert.deepStrictEqual(stored(local), ["first", "second", "third"]);
+  QueryCache.set(key("fourth"), "x".repeat(50), QueryCache.FOREVER);
+  assert.deepStrictEqual(stored(local), ["fourth", "second", "third"]);
+  assert.strictEqual(QueryCache.get(key("third")), "x".repeat(50));
+  assert.strictEqual(QueryCache.get(key("first")), undefined);
+  assert.strictEqual(console.warn.mock.callCount(), 0);
+});
+
+test("what doesn't fit at all stays in memory, saying so once", t => {
+  let local = storage(300);
+  QueryCache.useStorage(local);
+  t.mock.method(console, "warn");
+  local.setItem("loop-velocity.views", "{}");
+  QueryCache.set(key("small"), "x", QueryCache.FOREVER);
+  QueryCache.set(key("huge"), "x".repeat(500), QueryCache.FOREVER);
+  QueryCache.set(key("huger"), "x".repeat(600), QueryCache.FOREVER);
+  assert.strictEqual(QueryCache.get(key("huge")), "x".repeat(500));
+  assert.strictEqual(QueryCache.get(key("huger")), "x".repeat(600));
+  // it tried, but only its own entries are taken out
+  assert.deepStrictEqual(Object.keys(local.items), ["loop-velocity.views"]);
+  assert.strictEqual(console.warn.mock.callCount(), 1);
+  // until the cache is cleared, there's room again then
+  QueryCache.clear();
+  QueryCache.set(key("huge"), "x".repeat(500), QueryCache.FOREVER);
+  assert.strictEqual(console.warn.mock.callCount(), 2);
+});
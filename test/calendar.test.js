@@ -0,0 +1,66 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Clock = require("./helpers/clock.js");
+const SprintCalendar = require("../src/calendar.js");
+
+const ends = sprints => sprints.map(sprint => sprint.end);
+
+test("sprints are generated up to the one going on", t => {
+  t.after(Clock.freeze("2016-02-03T12:00:00Z"));
+  let sprints = SprintCalendar.build({ start: "2016-01-04", length: 7 });
+  assert.deepStrictEqual(ends(sprints), ["2016-01-11", "2016-01-18",
+                                         "2016-01-25", "2016-02-01",
+                                         "2016-02-08"]);
+  // consecutive sprints share a day: the end is the first one not covered
+  assert.strictEqual(sprints[1].start, sprints[0].end);
+});
+
+test("the first sprint starts on a monday", t => {
+  t.after(Clock.freeze("2016-01-20T12:00:00Z"));
+  let sprints = SprintCalendar.build({ start: "07/01/2016" });
+  assert.deepStrictEqual(sprints, [{ name: null, start: "2016-01-04",
+                                     end: "2016-01-18" },
+                                   { name: null, start: "2016-01-18",
+                                     end: "2016-02-01" }]);
+});
+
+test("exclusions pause the sprints running into them", t => {
+  t.after(Clock.freeze("2016-02-03T12:00:00Z"));
+  let options = {
+    start: "2016-01-04",
+    length: 7,
+    exclude: [{ name: "work week", start: "2016-01-18", end: "2016-01-25" }]
+  };
+  let sprints = SprintCalendar.build(options);
+  assert.deepStrictEqual(ends(sprints), ["2016-01-11", "2016-01-18",
+                                         "2016-02-01", "2016-02-08"]);
+  assert.deepStrictEqual(SprintCalendar.validate(sprints, options.exclude),
+                         []);
+  assert.strictEqual(SprintCalendar.validate(sprints).length, 1);
+});
+
+test("explicit sprints come first, generated ones carry on", t => {
+  t.after(Clock.freeze("2016-01-27T12:00:00Z"));
+  let sprints = SprintCalendar.build({
+    start: "2016-01-04",
+    length: 7,
+    sprints: [{ name: "Sprint 1", start: "2016-01-04", end: "2016-01-18" }]
+  });
+  assert.deepStrictEqual(sprints.map(SprintCalendar.label),
+                         ["Sprint 1", "2016-01-25", "2016-02-01"]);
+});
+
+test("date filters keep the sprints with a day inside", t => {
+  t.after(Clock.freeze("2016-02-03T12:00:00Z"));
+  let sprints = SprintCalendar.build({ start: "2016-01-04", length: 7 });
+  assert.deepStrictEqual(ends(SprintCalendar.overlapping(sprints, "2016-01-15",
+                                                         "2016-01-25")),
+                         ["2016-01-18", "2016-01-25", "2016-02-01"]);
+  assert.deepStrictEqual(ends(SprintCalendar.between(sprints, "2016-01-11",
+                                                     "2016-02-01")),
+                         ["2016-01-18", "2016-01-25", "2016-02-01"]);
+  assert.deepStrictEqual(ends(SprintCalendar.next({ length: 7 }, sprints, 2)),
+                         ["2016-02-15", "2016-02-22"]);
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Classifier = require("../src/classify.js");
+const Bugziller = require("../src/bugziller.js");
+const Stats = require("../src/stats.js");
+
+test.afterEach(() => Classifier.configure());
+
+test("the default rules look at summary, keywords and whiteboard", () => {
+  let category = bug => Classifier.classify(bug);
+  assert.strictEqual(category({ summary: "[Meta] Loop 1.2" }), "meta");
+  assert.strictEqual(category({ summary: "Rooms", keywords: ["meta"] }),
+                     "meta");
+  assert.strictEqual(category({ summary: "Rooms", whiteboard: "[tracker]" }),
+                     "tracker");
+  assert.strictEqual(category({ summary: "Crash", keywords: ["regression"] }),
+                     "regression");
+  assert.strictEqual(category({ summary: "Metadata is lost on reload" }),
+                     "task");
+  // no summary is just a task, nothing to complain about
+  assert.strictEqual(category({ id: 1 }), "task");
+  assert.ok(!Bugziller.isMeta({ id: 1 }));
+});
+
+test("rules don't mind the case", () => {
+  let category = bug => Classifier.classify(bug);
+  assert.strictEqual(category({ summary: "(META) Rooms" }), "meta");
+  assert.strictEqual(category({ summary: "Rooms", keywords: ["Meta"] }),
+                     "meta");
+  assert.strictEqual(category({ summary: "Rooms", whiteboard: "[Tracker]" }),
+                     "tracker");
+  assert.strictEqual(category({ summary: "Crash", keywords: ["REGRESSION"] }),
+                     "regression");
+  let options = { rules: [{ category: "regression", keywords: "Perf",
+                            summary: "slow" }] };
+  assert.strictEqual(Classifier.classify({ summary: "Slow start",
+                                           keywords: ["perf"] }, options),
+                     "regression");
+});
+
+test("the first rule whose conditions all hold wins", () => {
+  let options = {
+    rules: [
+      { category: "tracker", summary: "^tracking", dependencies: 2 },
+      { category: "regression", keywords: ["regression", "perf"] }
+    ]
+  };
+  let tracking = { summary: "Tracking 1.3", depends_on: [1, 2],
+                   keywords: ["perf"] };
+  assert.strictEqual(Classifier.classify(tracking, options), "tracker");
+  tracking.depends_on = [1];
+  assert.strictEqual(Classifier.classify(tracking, options), "regression");
+  // given rules replace the default ones
+  assert.strictEqual(Classifier.classify({ summary: "[meta] 1.3" }, options),
+                     "task");
+  assert.deepStrictEqual(Classifier.fields(options), ["keywords"]);
+  assert.throws(() => Classifier.configure({ fallback: "story" }),
+                /unknown bug category: story/);
+});
+
+test("configured rules are the ones isMeta and filterBugs use", () => {
+  Classifier.configure({ rules: [{ category: "tracker", dependencies: 3 }] });
+  let bugs = [
+    { id: 1, summary: "Lots of work", depends_on: [2, 3, 4] },
+    { id: 2, summary: "[meta] not anymore", depends_on: [] },
+    { id: 3, summary: "Small fix", depends_on: [4] }
+  ];
+  assert.ok(Bugziller.isMeta(bugs[0]));
+  assert.ok(!Bugziller.isMeta(bugs[1]));
+  return Stats.filterBugs([bugs, bugs, []]).then(classified => {
+    assert.deepStrictEqual(classified.solved.metas.map(bug => bug.id), [1]);
+    assert.deepStrictEqual(classified.solved.done.map(bug => bug.id), [2, 3]);
+    assert.strictEqual(classified.solved.categories.tracker.length, 1);
+    assert.deepStrictEqual(classified.completed.categories.task, []);
+    return Stats.filterBugs([bugs, bugs, bugs], ["tracker"]);
+  }).then(classified => {
+    assert.deepStrictEqual(classified.committed.metas.map(bug => bug.id), [1]);
+    assert.deepStrictEqual(classified.committed.done, []);
+  });
+});
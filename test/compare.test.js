@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Compare = require("../src/compare.js");
+
+const close = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) < 1e-3, actual + " != " + expected);
+};
+
+test("welch's t-test gives the two-sided p-value", () => {
+  let result = Compare.welch([1, 2, 3, 4, 5], [3, 4, 5, 6, 7]);
+  assert.strictEqual(result.t, 2);
+  assert.strictEqual(result.df, 8);
+  close(result.p, 0.0805);
+
+  // unequal sizes and variances
+  result = Compare.welch([19.8, 20.4, 19.6, 17.8, 18.5, 18.9, 18.3, 18.9, 19.5,
+                          22.0],
+                         [28.2, 26.6, 20.1, 23.3, 25.2, 22.1, 17.7, 27.6, 20.6,
+                          13.7, 23.2, 17.5, 20.6, 18.0, 23.9, 21.6, 24.3, 20.4,
+                          23.9, 13.3]);
+  close(result.t, 2.2255);
+  close(result.df, 24.5246);
+  close(result.p, 0.0355);
+});
+
+test("welch's t-test needs two sprints a side", () => {
+  assert.strictEqual(Compare.welch([3], [1, 2, 3]), null);
+  assert.strictEqual(Compare.welch([2, 2], [2, 2]).p, 1);
+  assert.strictEqual(Compare.welch([2, 2], [3, 3]).p, 0);
+});
+
+test("the other side is the config with the compare key on top", () => {
+  let config = {
+    products: ["Loop"],
+    range: { from: "2016-01-01", to: "2016-03-31" },
+    compare: { range: { from: "2016-02-01" }, products: ["Core"] }
+  };
+  assert.ok(Compare.isSet(config));
+  assert.ok(!Compare.isSet({ compare: {} }));
+  let sides = Compare.sides(config);
+  assert.deepStrictEqual(sides[0], { products: ["Loop"],
+                                     range: config.range });
+  assert.deepStrictEqual(sides[1], {
+    products: ["Core"],
+    range: { from: "2016-02-01", to: "2016-03-31" }
+  });
+  assert.strictEqual(Compare.describe(sides[1]),
+                     "Core, 2016-02-01 - 2016-03-31");
+});
+
+test("compare looks at both sides the way the headline does", () => {
+  let before = [5, 6, 7, 30, 6, 8];
+  let after = [9, 10, 11, 10, 9, 11];
+  let all = Compare.compare(before, after);
+  close(all.meanDiff, 10 - 62 / 6);
+  assert.ok(!all.significant);
+
+  let clean = Compare.compare(before, after, { excludeOutliers: true });
+  assert.strictEqual(clean.a.mean, 6.4);
+  close(clean.meanDiff, 3.6);
+  assert.ok(clean.significant);
+});
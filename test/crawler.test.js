@@ -0,0 +1,125 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Crawler = require("../src/crawler.js");
+const Bugzilla = require("../src/backends/bugzilla.js");
+const Jira = require("../src/backends/jira.js");
+// no real waiting between attempts
+const QUICK = { retries: 3, backoff: 1 };
+
+// a task failing with `statuses` first, then giving "done"
+function flaky(statuses) {
+  let task = () => {
+    task.calls++;
+    if (task.calls <= statuses.length) {
+      let error = new Error("failed " + task.calls);
+      error.status = statuses[task.calls - 1];
+      return Promise.reject(error);
+    }
+    return Promise.resolve("done");
+  };
+  task.calls = 0;
+  return task;
+}
+
+/**
+ * fetch answering `answer(url, position)` a bit later, counting how many
+ * requests were going on at the same time
+ */
+function tracker(t, answer) {
+  let state = { urls: [], going: 0, most: 0 };
+  t.mock.method(globalThis, "fetch", url => {
+    let position = state.urls.push(url);
+    state.going++;
+    state.most = Math.max(state.most, state.going);
+    return new Promise(resolve => setTimeout(resolve, 5)).then(() => {
+      state.going--;
+      let status = answer(url, position);
+      let body = typeof status === "number" ? {} : status;
+      status = typeof status === "number" ? status : 200;
+      return { ok: status < 400, status: status, statusText: "",
+               json: () => Promise.resolve(body) };
+    });
+  });
+  return state;
+}
+
+const range = count => Array.from({ length: count }, (_, i) => i + 1);
+
+test("failures that may go away are retried, with backoff", () => {
+  let task = flaky([503, 429, undefined]);
+  let started = Date.now();
+  return Crawler.retry(task, { retries: 3, backoff: 10 }).then(result => {
+    assert.strictEqual(result, "done");
+    assert.strictEqual(task.calls, 4);
+    // 10, 20 and 40 milliseconds between the attempts
+    assert.ok(Date.now() - started >= 70);
+  });
+});
+
+test("failures that won't go away are not retried", () => {
+  let missing = flaky([404]);
+  let tooMany = flaky([503, 503, 503, 503, 503]);
+  return Promise.all([
+    assert.rejects(Crawler.retry(missing, QUICK), /failed 1/),
+    assert.rejects(Crawler.retry(tooMany, QUICK), /failed 4/)
+  ]).then(() => {
+    assert.strictEqual(missing.calls, 1);
+    // the first attempt and three retries
+    assert.strictEqual(tooMany.calls, 4);
+  });
+});
+
+test("batches are fetched a few at a time, in order", () => {
+  let going = 0;
+  let most = 0;
+  let getBug = ids => {
+    going++;
+    most = Math.max(most, going);
+    return new Promise(resolve => setTimeout(resolve, 5)).then(() => {
+      going--;
+      return ids.map(id => ({ id: id }));
+    });
+  };
+  return Crawler.fetchAll(range(10), getBug,
+                          { batchSize: 2, concurrency: 3 }).then(bugs => {
+    assert.deepStrictEqual(bugs.map(bug => bug.id), range(10));
+    assert.strictEqual(most, 3);
+  });
+});
+
+test("long bugzilla id lists go through the crawler", t => {
+  let state = tracker(t, (url, count) => {
+    // the second request fails once
+    if (count === 2) {
+      return 503;
+    }
+    let ids = new URL(url).searchParams.get("id").split(",");
+    return { bugs: ids.map(id => ({ id: Number(id), summary: "bug " + id,
+                                   resolution: "FIXED" })) };
+  });
+  let backend = Bugzilla.create({
+    url: "http://bugzilla.test",
+    crawler: { concurrency: 2, backoff: 1 }
+  });
+  return backend.getSolved("2016-01-04", "2016-01-11", range(1000))
+    .then(bugs => {
+      assert.deepStrictEqual(bugs.map(bug => bug.id), range(1000));
+      // 5 batches of 200, one of them twice
+      assert.strictEqual(state.urls.length, 6);
+      assert.strictEqual(state.most, 2);
+    });
+});
+
+test("long jira key lists go through the crawler", t => {
+  let state = tracker(t, () => ({ issues: [], total: 0 }));
+  let backend = Jira.create({ url: "http://jira.test", projects: ["LOOP"],
+                              crawler: { concurrency: 1 } });
+  let keys = range(250).map(number => "LOOP-" + number);
+  return backend.getSolved("2016-01-04", "2016-01-11", keys).then(() => {
+    // batches of 100 keys, one after the other
+    assert.strictEqual(state.urls.length, 3);
+    assert.strictEqual(state.most, 1);
+  });
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const CycleTime = require("../src/cycletime.js");
+
+// a history entry with its changes as [field, removed, added]
+function entry(when, changes) {
+  return { when: when + "T00:00:00Z", who: "someone",
+           changes: changes.map(change => ({ field_name: change[0],
+                                             removed: change[1],
+                                             added: change[2] })) };
+}
+
+const CREATED = "2016-01-01T00:00:00Z";
+
+test("wait, cycle and lead time come out of the history", () => {
+  let history = [
+    entry("2016-01-03", [["assigned_to", "nobody@mozilla.org", "ana"]]),
+    entry("2016-01-06", [["status", "ASSIGNED", "RESOLVED"],
+                         ["resolution", "", "FIXED"]]),
+    entry("2016-01-07", [["status", "RESOLVED", "REOPENED"],
+                         ["resolution", "FIXED", ""]]),
+    entry("2016-01-11", [["resolution", "", "FIXED"]])
+  ];
+  let times = CycleTime.measure({ id: 1, creation_time: CREATED }, history);
+  assert.deepStrictEqual(times, {
+    id: 1,
+    created: CREATED,
+    assigned: "2016-01-03T00:00:00Z",
+    fixed: "2016-01-11T00:00:00Z",
+    wait: 2,
+    cycle: 8,
+    lead: 10,
+    reopens: 1
+  });
+  // never assigned in the history: it was when it was filed
+  let direct = CycleTime.measure({ id: 2, creation_time: CREATED },
+                                 [entry("2016-01-05",
+                                        [["resolution", "", "FIXED"]])]);
+  assert.deepStrictEqual([direct.wait, direct.cycle, direct.lead], [0, 4, 4]);
+});
+
+test("bugs never closed have no cycle or lead time", () => {
+  let open = CycleTime.measure({ id: 3, creation_time: CREATED }, [
+    entry("2016-01-02", [["status", "NEW", "ASSIGNED"]])
+  ]);
+  assert.strictEqual(open.wait, 1);
+  assert.strictEqual(open.fixed, null);
+  assert.strictEqual(open.cycle, null);
+  assert.strictEqual(open.lead, null);
+  let untouched = CycleTime.measureAll([{ id: 4, creation_time: CREATED }],
+                                       []);
+  assert.deepStrictEqual([untouched[0].wait, untouched[0].lead],
+                         [null, null]);
+});
+
+test("sprints get the percentiles of the times there are", () => {
+  let times = [1, 2, 3, 4, 10].map((lead, position) => ({
+    wait: null, cycle: lead / 2, lead: lead, reopens: position % 2
+  }));
+  let summary = CycleTime.summarize(times);
+  assert.strictEqual(summary.count, 5);
+  assert.strictEqual(summary.reopens, 2);
+  assert.strictEqual(summary.lead.median, 3);
+  assert.strictEqual(summary.lead[50], 3);
+  assert.strictEqual(summary.cycle.median, 1.5);
+  // interpolated between the two closest times
+  assert.strictEqual(summary.lead[85].toFixed(1), "6.4");
+  assert.strictEqual(summary.lead[95].toFixed(1), "8.8");
+  // nobody had a wait time to tell
+  assert.ok(isNaN(summary.wait.median));
+  let limits = CycleTime.controlLimits([2, 4, 6]);
+  assert.strictEqual(limits.mean, 4);
+  assert.strictEqual(limits.lower, 0);
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Flow = require("../src/flow.js");
+
+// a history entry changing a field
+function change(when, field, removed, added) {
+  return { when: when, who: "someone",
+           changes: [{ field_name: field, removed: removed, added: added }] };
+}
+
+test("a bug fixed on the last day of a sprint is on its last day", () => {
+  // the sprint of 2016-01-04 ends on 2016-01-11, its last day is the 10th
+  let input = {
+    bugs: {
+      1: { id: 1, summary: "fixed late", creation_time: "2016-01-01" },
+      2: { id: 2, summary: "not yet", creation_time: "2016-01-07T12:00:00Z" }
+    },
+    histories: {
+      1: [change("2016-01-05T09:00:00Z", "assigned_to", "nobody@mozilla.org",
+                 "dev@example.com"),
+          change("2016-01-10T18:00:00Z", "resolution", "", "FIXED")]
+    }
+  };
+  let flow = Flow.series(input, "2016-01-04", "2016-01-10");
+  assert.strictEqual(flow.days.length, 7);
+  assert.strictEqual(flow.days[6], "2016-01-10");
+  assert.deepStrictEqual(flow.open, [1, 0, 0, 1, 1, 1, 1]);
+  assert.deepStrictEqual(flow.assigned, [0, 1, 1, 1, 1, 1, 0]);
+  assert.deepStrictEqual(flow.fixed, [0, 0, 0, 0, 0, 0, 1]);
+  assert.deepStrictEqual(flow.scope, [1, 1, 1, 2, 2, 2, 2]);
+});
+
+test("closed bugs that weren't fixed and metas are apart", () => {
+  let input = {
+    bugs: {
+      1: { id: 1, summary: "dupe", creation_time: "2016-01-01" },
+      2: { id: 2, summary: "[meta] all of it", creation_time: "2016-01-01" }
+    },
+    histories: {
+      1: [change("2016-01-05T09:00:00Z", "resolution", "", "DUPLICATE")]
+    }
+  };
+  let flow = Flow.series(input, "2016-01-04", "2016-01-05");
+  assert.deepStrictEqual(flow.open, [1, 0]);
+  assert.deepStrictEqual(flow.closed, [0, 1]);
+  assert.deepStrictEqual(flow.scope, [1, 1]);
+});
+
+test("the scope of a tree follows what hung from it every day", () => {
+  let children = { 10: ["1", "2"] };
+  let histories = {
+    10: [change("2016-01-06T10:00:00Z", "depends_on", "", "2"),
+         change("2016-01-07T10:00:00Z", "depends_on", "3", "")]
+  };
+  assert.deepStrictEqual(Flow.removed(children, histories), ["3"]);
+  let bug = id => ({ id: id, summary: "bug " + id,
+                     creation_time: "2016-01-01" });
+  let flow = Flow.series({
+    bugs: { 10: { id: 10, summary: "[meta] release" },
+            1: bug(1), 2: bug(2), 3: bug(3) },
+    histories: histories,
+    roots: [10],
+    children: children
+  }, "2016-01-05", "2016-01-07");
+  assert.deepStrictEqual(flow.scope, [2, 3, 2]);
+  assert.deepStrictEqual(flow.added, [[], ["2"], []]);
+  assert.deepStrictEqual(flow.removed, [[], [], ["3"]]);
+});
@@ -0,0 +1,69 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Forecast = require("../src/forecast.js");
+
+test("the work left is the open, non-meta bugs below the tracking one", () => {
+  let tree = {
+    roots: [100],
+    bugs: {
+      100: { id: 100, summary: "Ship 1.2", resolution: "" },
+      1: { id: 1, summary: "Rooms", resolution: "" },
+      2: { id: 2, summary: "Links", resolution: "FIXED" },
+      3: { id: 3, summary: "[meta] Polish", resolution: "" },
+      4: { id: 4, summary: "Icons", resolution: "" }
+    },
+    children: { 100: [1, 2, 3], 3: [4] }
+  };
+  assert.deepStrictEqual(Forecast.workLeft(tree).map(bug => bug.id), [1, 4]);
+  // nothing left under it, whatever the tracking bug says
+  tree.bugs[1].resolution = tree.bugs[4].resolution = "FIXED";
+  assert.deepStrictEqual(Forecast.workLeft(tree), []);
+});
+
+// Math.random() giving these, one after the other
+function replay(values) {
+  let next = 0;
+  return () => values[next++];
+}
+
+test("the projection goes from mean + σ to mean - σ", () => {
+  let projection = Forecast.project(12, [2, 4, 6], { runs: 1 });
+  assert.strictEqual(projection.remaining, 12);
+  assert.strictEqual(projection.mean, 4);
+  assert.deepStrictEqual(projection.sprints,
+                         { optimistic: 3, likely: 3, pessimistic: 6 });
+  assert.deepStrictEqual(Forecast.burnDown(Forecast.project(10, [4, 6]), 3), {
+    optimistic: [10, 4, 0, 0],
+    likely: [10, 5, 0, 0],
+    pessimistic: [10, 6, 2, 0]
+  });
+});
+
+test("the percentiles come from replaying random past sprints", () => {
+  // runs done in 1, 2, 3 and 5 sprints
+  let random = replay([0.9, 0.1, 0.9, 0.1, 0.1, 0.9,
+                       0.1, 0.1, 0.1, 0.1, 0.1]);
+  let projection = Forecast.project(10, [2, 10], { runs: 4, random: random });
+  assert.deepStrictEqual(projection.monteCarlo, { 50: 2, 85: 5, 95: 5 });
+  // longer than anyone plans is never
+  assert.deepStrictEqual(Forecast.project(100, [1], { maxSprints: 10 })
+                           .monteCarlo,
+                         { 50: Infinity, 85: Infinity, 95: Infinity });
+});
+
+test("nothing solved is never, nothing left is already", () => {
+  [[0, 0], []].forEach(velocities => {
+    let projection = Forecast.project(5, velocities);
+    assert.deepStrictEqual(projection.sprints, {
+      optimistic: Infinity, likely: Infinity, pessimistic: Infinity
+    });
+    assert.deepStrictEqual(projection.monteCarlo,
+                           { 50: Infinity, 85: Infinity, 95: Infinity });
+  });
+  let done = Forecast.project(0, [3, 4]);
+  assert.deepStrictEqual(done.sprints,
+                         { optimistic: 0, likely: 0, pessimistic: 0 });
+  assert.deepStrictEqual(done.monteCarlo, { 50: 0, 85: 0, 95: 0 });
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Clock = require("./helpers/clock.js");
+const MockServer = require("./helpers/server.js");
+const velocity = require("../index.js");
+
+const Bugziller = velocity.Bugziller;
+const TODAY = "2016-02-03T12:00:00Z";
+const SOLVED = "repo:mozilla/loop is:issue is:closed reason:completed ";
+
+var server = null;
+
+test.before(() => {
+  return MockServer.start(MockServer.load("github").concat(pages()), "github")
+    .then(started => {
+      server = started;
+    });
+});
+
+test.after(() => server.close());
+
+test.afterEach(() => {
+  assert.deepStrictEqual(server.unmatched, [], "requests with no recording");
+});
+
+function create() {
+  return Bugziller.create({ backend: "github", url: server.url,
+                            repos: ["mozilla/loop"], cache: false });
+}
+
+// a sprint with one more issue than fits in a page of the search
+function pages() {
+  let issues = [];
+  for (let number = 100; number <= 200; number++) {
+    issues.push({
+      url: "https://api.github.com/repos/mozilla/loop/issues/" + number,
+      number: number,
+      title: "Issue " + number,
+      state: "closed",
+      state_reason: "completed",
+      labels: []
+    });
+  }
+  let q = SOLVED + "closed:>=2016-01-18 closed:<2016-01-25";
+  return [1, 2].map(page => ({
+    request: "/search/issues?q=" + q + "&per_page=100&page=" + page,
+    response: {
+      total_count: issues.length,
+      items: issues.slice((page - 1) * 100, page * 100)
+    }
+  }));
+}
+
+const ids = bugs => bugs.map(bug => bug.id);
+
+test("closed issues are solved ones, normalized to bugzilla's", t => {
+  t.after(Clock.freeze(TODAY));
+  return create().getRange("2016-01-04", "2016-01-11").then(lists => {
+    let solved = lists[0];
+    assert.deepStrictEqual(ids(solved), ["mozilla/loop#1", "mozilla/loop#2"]);
+    assert.deepStrictEqual(solved[0], {
+      id: "mozilla/loop#1",
+      summary: "Rooms can't be renamed",
+      resolution: "FIXED",
+      depends_on: [],
+      url: "https://github.com/mozilla/loop/issues/1",
+      assigned_to: "standard8",
+      component: "mozilla/loop",
+      keywords: ["bug"],
+      creation_time: "2015-12-20T10:00:00Z"
+    });
+    // assigned in the sprint, pull requests and other events left out
+    assert.deepStrictEqual(ids(lists[1]), ["mozilla/loop#2"]);
+    assert.deepStrictEqual(ids(lists[2]), ["mozilla/loop#2"]);
+  });
+});
+
+test("the end day belongs to the next sprint", t => {
+  t.after(Clock.freeze(TODAY));
+  let bugziller = create();
+  return bugziller.getRange("2016-01-11", "2016-01-18").then(lists => {
+    // closed and assigned on 2016-01-11, not in the sprint before
+    assert.deepStrictEqual(ids(lists[0]), ["mozilla/loop#4"]);
+    assert.deepStrictEqual(ids(lists[1]), ["mozilla/loop#4"]);
+    assert.ok(server.requests.every(request => {
+      return decodeURIComponent(request).indexOf("..") === -1;
+    }));
+  });
+});
+
+test("search results are followed page by page", () => {
+  let asked = server.requests.length;
+  return create().getVelocity([{ start: "2016-01-18", end: "2016-01-25" }])
+    .then(bugArrays => {
+      assert.strictEqual(bugArrays[0].length, 101);
+      assert.strictEqual(bugArrays[0][100].id, "mozilla/loop#200");
+      assert.strictEqual(server.requests.length - asked, 2);
+    });
+});
+
+test("assignments older than the events github keeps fail", t => {
+  t.after(Clock.freeze("2016-06-01T12:00:00Z"));
+  let asked = server.requests.length;
+  return create().getRange("2016-01-04", "2016-01-11").then(() => {
+    assert.fail("it should have failed");
+  }, error => {
+    assert.match(error.message, /only keeps 90 days of issue events/);
+    assert.ok(server.requests.slice(asked).every(request => {
+      return request.indexOf("/events") === -1;
+    }));
+  });
+});
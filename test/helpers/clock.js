@@ -0,0 +1,35 @@
+"use strict";
+
+/**
+ *  Frozen clock for the tests: moment() and Date.now() give the same
+ *  instant on every run, so the sprints generated up to "today" and what
+ *  the cache takes as over don't depend on the day the tests run.
+ *
+ *  How to use:
+ *  let restore = Clock.freeze("2016-02-03T12:00:00Z");
+ *  ...
+ *  restore();
+ */
+const moment = require("../../libs/moment.js");
+
+/**
+ * @param when anything Date.parse takes
+ * @returns Function putting the real clock back
+ */
+function freeze(when) {
+  let now = Date.parse(when);
+  if (isNaN(now)) {
+    throw new Error("wrong date to freeze the clock at: " + when);
+  }
+  let original = { moment: moment.now, date: Date.now };
+  moment.now = () => now;
+  Date.now = () => now;
+  return function restore() {
+    moment.now = original.moment;
+    Date.now = original.date;
+  };
+}
+
+module.exports = {
+  freeze: freeze
+};
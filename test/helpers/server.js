@@ -0,0 +1,123 @@
+"use strict";
+
+/**
+ *  Mock tracker for the tests: a local http server answering with recorded
+ *  responses, so the backends run their real queries without the network.
+ *
+ *  Recordings are JSON files with a list of
+ *    { "request": "/rest/bug?f1=resolution&v1=2016-01-04...",
+ *      "response": { "bugs": [...] }, "status": 200 }
+ *  A request gets the first recording with the same path and the same
+ *  params, but for the ones every query of that tracker carries (fields,
+ *  products, credentials), which can be anything. Ids are compared as
+ *  sets, as the crawler may ask for them in any order. Requests nothing
+ *  matches get a 404 and are kept in `unmatched`.
+ *
+ *  How to use:
+ *  MockServer.start(MockServer.load("bugzilla"), "bugzilla").then(server => {
+ *    Bugziller.create({ url: server.url, cache: false });
+ *    server.requests;  // every path asked, in order
+ *    return server.close();
+ *  });
+ */
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+// params with comma separated ids, in no particular order
+const ID_PARAMS = ["id", "ids"];
+// params on every query of a tracker, not what tells one from another
+const IGNORED = {
+  bugzilla: ["include_fields", "product", "component", "api_key"],
+  github: [],
+  jira: ["fields"]
+};
+
+/**
+ * every recording in a fixtures directory
+ * @param name directory under test/fixtures
+ */
+function load(name) {
+  let directory = path.join(FIXTURES, name);
+  return fs.readdirSync(directory).filter(file => /\.json$/.test(file))
+    .sort()
+    .reduce((recordings, file) => {
+      let content = fs.readFileSync(path.join(directory, file), "utf8");
+      return recordings.concat(JSON.parse(content));
+    }, []);
+}
+
+function sameValues(name, recorded, asked) {
+  if (ID_PARAMS.indexOf(name) === -1) {
+    return recorded.join() === asked.join();
+  }
+  let sorted = values => values.join(",").split(",").sort().join();
+  return sorted(recorded) === sorted(asked);
+}
+
+function matches(recording, url, ignored) {
+  let recorded = new URL(recording.request, "http://localhost");
+  if (recorded.pathname !== url.pathname) {
+    return false;
+  }
+  let names = params => Array.from(new Set(params.keys())).filter(name => {
+    return ignored.indexOf(name) === -1;
+  }).sort();
+  let recordedNames = names(recorded.searchParams);
+  return recordedNames.join() === names(url.searchParams).join() &&
+         recordedNames.every(name => {
+           return sameValues(name, recorded.searchParams.getAll(name),
+                             url.searchParams.getAll(name));
+         });
+}
+
+/**
+ * @param recordings as load() gives them
+ * @param tracker    [optional] whose params to ignore, bugzilla by default
+ * @returns Promise with { url, requests, unmatched, close }
+ */
+function start(recordings, tracker) {
+  let ignored = IGNORED[tracker || "bugzilla"];
+  if (!ignored) {
+    throw new Error("unknown tracker for the mock server: " + tracker);
+  }
+  let requests = [];
+  let unmatched = [];
+  let server = http.createServer((request, response) => {
+    let url = new URL(request.url, "http://localhost");
+    requests.push(url.pathname + url.search);
+    let recording = recordings.filter(recording => {
+      return matches(recording, url, ignored);
+    })[0];
+    if (!recording) {
+      unmatched.push(url.pathname + url.search);
+    }
+    response.writeHead(recording ? recording.status || 200 : 404,
+                       { "Content-Type": "application/json" });
+    response.end(JSON.stringify(recording ? recording.response : {
+      error: true,
+      message: "no recording for " + url.pathname + url.search
+    }));
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: "http://127.0.0.1:" + server.address().port,
+        requests: requests,
+        unmatched: unmatched,
+        close: () => new Promise(done => {
+          server.close(done);
+          // fetch keeps the connections alive, they'd hold the server open
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  load: load,
+  start: start
+};
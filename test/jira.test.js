@@ -0,0 +1,65 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const MockServer = require("./helpers/server.js");
+const velocity = require("../index.js");
+
+const Bugziller = velocity.Bugziller;
+
+var server = null;
+
+test.before(() => {
+  return MockServer.start(MockServer.load("jira"), "jira").then(started => {
+    server = started;
+  });
+});
+
+test.after(() => server.close());
+
+test.afterEach(() => {
+  assert.deepStrictEqual(server.unmatched, [], "requests with no recording");
+});
+
+function create() {
+  return Bugziller.create({ backend: "jira", url: server.url,
+                            projects: ["LOOP"], cache: false });
+}
+
+const ids = bugs => bugs.map(bug => bug.id);
+
+test("searches are followed page by page, the end day left out", () => {
+  let asked = server.requests.length;
+  return create().getRange("2016-01-04", "2016-01-11").then(lists => {
+    assert.deepStrictEqual(ids(lists[0]), ["LOOP-1", "LOOP-2", "LOOP-3"]);
+    assert.deepStrictEqual(ids(lists[1]), ["LOOP-1", "LOOP-4"]);
+    assert.deepStrictEqual(ids(lists[2]), ["LOOP-1"]);
+    // two pages of solved ones, committed and completed
+    let requests = server.requests.slice(asked).map(decodeURIComponent);
+    assert.strictEqual(requests.length, 4);
+    assert.ok(requests.some(request => {
+      return request.indexOf('resolutiondate < "2016-01-11"') !== -1;
+    }));
+    assert.ok(requests.every(request => request.indexOf("<=") === -1));
+  });
+});
+
+test("issues are normalized to bugzilla's shape", () => {
+  return create().getRange("2016-01-04", "2016-01-11").then(lists => {
+    let byId = {};
+    lists[0].forEach(bug => byId[bug.id] = bug);
+    assert.deepStrictEqual(byId["LOOP-2"], {
+      id: "LOOP-2",
+      summary: "Conversation window",
+      resolution: "FIXED",
+      // sub-tasks and blockers, other links aren't dependencies
+      depends_on: ["LOOP-5", "LOOP-6"],
+      assigned_to: "Mike de Boer",
+      component: ["Client"],
+      keywords: ["meta"],
+      creation_time: "2015-12-20T10:00:00.000+0000"
+    });
+    assert.strictEqual(byId["LOOP-1"].resolution, "FIXED");
+    assert.ok(Bugziller.isMeta(byId["LOOP-2"]));
+  });
+});
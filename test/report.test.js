@@ -0,0 +1,62 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Report = require("../src/report.js");
+
+const SPRINTS = [
+  { name: "Sprint 1", start: "2016-01-04", end: "2016-01-11" },
+  { name: null, start: "2016-01-11", end: "2016-01-18" }
+];
+const BUG_ARRAYS = [
+  [{ id: 1, summary: "a" }, { id: 2, summary: "b" }],
+  [{ id: 3, summary: "c" }, { id: 1, summary: "a", reopened: true }]
+];
+
+test("every sprint exports its dates, what it solved and the bug ids", () => {
+  let rows = Report.rows(SPRINTS, BUG_ARRAYS);
+  assert.deepStrictEqual(rows, [
+    { sprint: "Sprint 1", start: "2016-01-04", end: "2016-01-11", solved: 2,
+      bugs: [1, 2], reopened: [] },
+    { sprint: "2016-01-11", start: "2016-01-11", end: "2016-01-18",
+      solved: 0, bugs: [3], reopened: [1] }
+  ]);
+  assert.deepStrictEqual(Report.rows(SPRINTS, BUG_ARRAYS, () => 5)
+                           .map(row => row.solved), [5, 5]);
+  assert.strictEqual(Report.toCSV(rows),
+                     "sprint,start,end,solved,bugs,reopened\n" +
+                     "Sprint 1,2016-01-04,2016-01-11,2,1 2,\n" +
+                     "2016-01-11,2016-01-11,2016-01-18,0,3,1\n");
+  assert.deepStrictEqual(JSON.parse(Report.toJSON({ unit: "bugs",
+                                                    sprints: rows })),
+                         { unit: "bugs", sprints: rows });
+});
+
+test("csv cells are quoted only when they need it", () => {
+  assert.strictEqual(Report.csvValue("plain"), "plain");
+  assert.strictEqual(Report.csvValue('say "hi", twice'),
+                     '"say ""hi"", twice"');
+  assert.strictEqual(Report.csvValue("two\nlines"), '"two\nlines"');
+  assert.strictEqual(Report.csvValue([1, 2]), "1 2");
+  assert.strictEqual(Report.csvValue(null), "");
+  assert.strictEqual(Report.csvValue(0), "0");
+});
+
+test("the summary has the headline, chart and releases, escaped", () => {
+  let html = Report.summaryHTML({
+    title: "Velocity <Loop>",
+    headline: "2 ± 1 bugs per sprint",
+    chart: "data:image/png;base64,AAAA",
+    sprints: Report.rows(SPRINTS, BUG_ARRAYS),
+    releases: { columns: ["Release", "Solved"],
+                rows: [["FF 45", "3 (+ 1 metas)"]] }
+  });
+  assert.match(html, /<title>Velocity &lt;Loop&gt;<\/title>/);
+  assert.match(html, /<p class="headline">2 ± 1 bugs per sprint<\/p>/);
+  assert.match(html, /<img src="data:image\/png;base64,AAAA"/);
+  assert.match(html, /<td>Sprint 1<\/td><td>2016-01-04<\/td>/);
+  assert.match(html, /<th>Release<\/th><th>Solved<\/th>.*<td>FF 45<\/td>/);
+  assert.match(Report.summaryHTML({ title: "x", headline: "y",
+                                    releases: "Cannot load the releases" }),
+               /<p>Cannot load the releases<\/p>/);
+});
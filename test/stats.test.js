@@ -0,0 +1,75 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Stats = require("../src/stats.js");
+
+test("average and population deviation", () => {
+  assert.strictEqual(Stats.average([2, 4, 4, 4, 5, 5, 7, 9]), 5);
+  assert.strictEqual(Stats.stdDeviation([2, 4, 4, 4, 5, 5, 7, 9]), 2);
+  assert.ok(isNaN(Stats.average([])));
+});
+
+test("percentiles interpolate between the closest values", () => {
+  assert.strictEqual(Stats.median([3, 1, 2]), 2);
+  assert.strictEqual(Stats.median([4, 1, 3, 2]), 2.5);
+  assert.strictEqual(Stats.percentile([1, 2, 3, 4, 5], 25), 2);
+  assert.strictEqual(Stats.percentile([10, 20], 75), 17.5);
+  assert.ok(isNaN(Stats.percentile([], 50)));
+});
+
+test("quartiles and interquartile range", () => {
+  assert.deepStrictEqual(Stats.quartiles([1, 2, 3, 4, 5, 6, 7, 8, 9]),
+                         { q1: 3, median: 5, q3: 7, iqr: 4 });
+});
+
+test("regression gives the least squares line", () => {
+  assert.deepStrictEqual(Stats.regression([1, 3, 5, 7]),
+                         { slope: 2, intercept: 1 });
+  assert.deepStrictEqual(Stats.regression([4]), { slope: 0, intercept: 4 });
+  assert.strictEqual(Stats.slope([5, 5, 5]), 0);
+});
+
+test("rolling means only look back the window", () => {
+  assert.deepStrictEqual(Stats.rolling([1, 2, 3, 4, 5], 3),
+                         [1, 1.5, 2, 3, 4]);
+});
+
+test("outliers are out of Tukey's fences", () => {
+  assert.deepStrictEqual(Stats.outliers([5, 6, 7, 30, 6, 8]), [3]);
+  assert.deepStrictEqual(Stats.outliers([5, 6, 7, 30, 6, 8], 20), []);
+  // too few sprints to tell
+  assert.deepStrictEqual(Stats.outliers([1, 100, 1]), []);
+});
+
+test("summary over a window, with and without the outliers", () => {
+  let data = [5, 6, 7, 30, 6, 8];
+  let all = Stats.summary(data);
+  assert.deepStrictEqual(all.used, [0, 1, 2, 3, 4, 5]);
+  assert.strictEqual(all.mean, 62 / 6);
+  assert.strictEqual(all.rolling, null);
+
+  let recent = Stats.summary(data, { window: 4, excludeOutliers: true });
+  assert.deepStrictEqual(recent.used, [2, 4, 5]);
+  assert.deepStrictEqual(recent.outliers, [3]);
+  assert.strictEqual(recent.mean, 7);
+  assert.strictEqual(recent.median, 7);
+  assert.strictEqual(recent.rolling.length, data.length);
+});
+
+test("filterBugs splits metas from the rest", () => {
+  let bugs = [{ summary: "[meta] tracking" }, { summary: "a bug" }];
+  return Stats.filterBugs([bugs, [], bugs]).then(classified => {
+    assert.strictEqual(classified.solved.metas.length, 1);
+    assert.strictEqual(classified.solved.done.length, 1);
+    assert.strictEqual(classified.committed.done.length, 0);
+    assert.strictEqual(classified.completed.metas.length, 1);
+  });
+});
+
+test("filterBugs fails on anything but the three lists", () => {
+  return Promise.all([
+    assert.rejects(Stats.filterBugs(undefined), /got undefined/),
+    assert.rejects(Stats.filterBugs([[], []]), /expected the solved/)
+  ]);
+});
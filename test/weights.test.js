@@ -0,0 +1,41 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Weights = require("../src/weights.js");
+
+const SEVERITY = { field: "severity",
+                   values: { critical: 8, major: 5, normal: 3 } };
+
+test("by default points come from the field, then the whiteboard", () => {
+  assert.strictEqual(Weights.weigh({ cf_fx_points: "5" }), 5);
+  assert.strictEqual(Weights.weigh({ cf_fx_points: "---",
+                                     whiteboard: "[ux] [points=3]" }), 3);
+  assert.strictEqual(Weights.weigh({ whiteboard: "[Point: 0.5]" }), 0.5);
+  // the field wins over the whiteboard
+  assert.strictEqual(Weights.weigh({ cf_fx_points: 2,
+                                     whiteboard: "[points=8]" }), 2);
+  assert.deepStrictEqual(Weights.fields(), ["cf_fx_points", "whiteboard"]);
+});
+
+test("other fields can be mapped to points", () => {
+  let options = { field: null, whiteboard: "\\[pts:(\\d+)\\]",
+                  map: SEVERITY };
+  assert.strictEqual(Weights.weigh({ whiteboard: "[pts:13]",
+                                     severity: "critical" }, options), 13);
+  assert.strictEqual(Weights.weigh({ severity: "major" }, options), 5);
+  assert.deepStrictEqual(Weights.fields(options), ["whiteboard", "severity"]);
+});
+
+test("sizes nobody estimated, or nobody knows, weigh nothing", () => {
+  let options = { map: SEVERITY };
+  [{ cf_fx_points: "?" }, { cf_fx_points: "-1" }, { whiteboard: "[pts=]" },
+   { severity: "enhancement" }, { severity: "toString" }, {}]
+    .forEach(bug => assert.strictEqual(Weights.weigh(bug, options), null));
+  let total = Weights.sum([{ id: 1, cf_fx_points: 3 },
+                           { id: 2, severity: "enhancement" },
+                           { id: 3, severity: "critical" }], options);
+  assert.strictEqual(total.points, 11);
+  assert.deepStrictEqual(total.weighted.map(bug => bug.id), [1, 3]);
+  assert.deepStrictEqual(total.unweighted.map(bug => bug.id), [2]);
+});